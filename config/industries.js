@@ -0,0 +1,18 @@
+// Catalog values for the industry directory
+module.exports = {
+  // Units a product price can be quoted in
+  productUnits: ['piece', 'dozen', 'set', 'box', 'kg', 'tonne', 'litre', 'metre', 'sq_metre', 'hour'],
+
+  // GST registration types
+  gstRegistrationTypes: ['regular', 'composition', 'sez', 'casual', 'non_resident'],
+
+  // Changes to these fields by the owner send an approved listing back for review
+  reviewFields: ['name', 'description', 'contactNumber', 'gst.gstin', 'gst.legalName', 'images'],
+
+  // Job board
+  employmentTypes: ['full_time', 'part_time', 'contract', 'internship', 'apprenticeship'],
+
+  // Image limits
+  maxIndustryImages: 10,
+  maxProductImages: 5
+};
@@ -0,0 +1,49 @@
+// Every permission checked by requirePermission()
+const PERMISSIONS = [
+  'users:read',
+  'users:write',
+  'roles:assign',
+  'updates:write',
+  'emergency:write',
+  'polls:read',
+  'polls:write',
+  'workshops:write',
+  'feedback:manage',
+  'industries:moderate',
+  'apiKeys:manage',
+  'synonyms:manage',
+  'inquiries:stats'
+];
+
+// Read-only scopes that can be granted to API keys (see middleware/auth.js).
+// Only add a scope together with a route that checks it through
+// auth.allowApiKey; public endpoints (workshops, industries) need no key.
+const API_KEY_SCOPES = ['updates:read'];
+
+// Staff roles that admins can delegate to members, and what each one grants.
+// Admins implicitly hold every permission.
+const ROLES = {
+  content_editor: ['updates:write', 'emergency:write', 'feedback:manage'],
+  poll_manager: ['polls:read', 'polls:write'],
+  workshop_coordinator: ['workshops:write'],
+  industry_moderator: ['industries:moderate']
+};
+
+// Resolve the permissions of a user (or a req.user token payload)
+const permissionsFor = (user) => {
+  if (user.role === 'admin') {
+    return [...PERMISSIONS];
+  }
+
+  return [...new Set((user.roles || []).flatMap((role) => ROLES[role] || []))];
+};
+
+const hasPermission = (user, permission) => permissionsFor(user).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  API_KEY_SCOPES,
+  permissionsFor,
+  hasPermission
+};
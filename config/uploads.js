@@ -0,0 +1,36 @@
+const MB = 1024 * 1024;
+
+// What each kind of upload accepts. Every file must match one of the listed
+// types both by its declared MIME type and by its leading bytes.
+module.exports = {
+  // Multer temp directory; files are removed once the request has been handled
+  tempDir: process.env.UPLOAD_TEMP_DIR || 'uploads/',
+
+  image: {
+    maxBytes: (Number(process.env.UPLOAD_MAX_IMAGE_MB) || 5) * MB,
+    types: {
+      'image/jpeg': [[0xff, 0xd8, 0xff]],
+      'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+      // "RIFF" .... "WEBP"
+      'image/webp': [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]]
+    },
+    // Refuse images larger than this many pixels (decompression bombs)
+    maxPixels: 40 * 1000 * 1000
+  },
+
+  document: {
+    maxBytes: (Number(process.env.UPLOAD_MAX_DOCUMENT_MB) || 5) * MB,
+    types: {
+      'application/pdf': [[0x25, 0x50, 0x44, 0x46, 0x2d]], // "%PDF-"
+      'application/msword': [[0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]], // OLE2 compound file
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [[0x50, 0x4b, 0x03, 0x04]] // ZIP
+    }
+  },
+
+  // Variants generated for every stored image (see utils/images.js)
+  imageSizes: {
+    original: { width: 2000, height: 2000, fit: 'inside' },
+    medium: { width: 800, height: 800, fit: 'inside' },
+    thumbnail: { width: 300, height: 300, fit: 'cover' }
+  }
+};
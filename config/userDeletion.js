@@ -0,0 +1,22 @@
+// What happens to a deleted user's data when the account is purged, after
+// the retention period. Until then a deleted user can be restored unchanged.
+module.exports = {
+  // Days a soft-deleted user is kept before being purged
+  retentionDays: Number(process.env.USER_PURGE_AFTER_DAYS) || 30,
+
+  // Industries owned by the user:
+  //   'reassign' - hand them to USER_DELETE_REASSIGN_TO, or else the admin who deleted the user
+  //   'delete'   - remove them
+  industries: process.env.USER_DELETE_INDUSTRIES || 'reassign',
+  reassignTo: process.env.USER_DELETE_REASSIGN_TO || null,
+
+  // Feedback responses written by the user:
+  //   'anonymise' - keep the response without its author
+  //   'delete'    - remove them
+  feedback: process.env.USER_DELETE_FEEDBACK || 'anonymise',
+
+  // Workshop registrations:
+  //   'remove' - free the user's seats in upcoming workshops and drop them from past ones
+  //   'keep'   - leave the registrations in place
+  workshopRegistrations: process.env.USER_DELETE_WORKSHOP_REGISTRATIONS || 'remove'
+};
@@ -0,0 +1,21 @@
+const scheduler = require('./scheduler');
+const { runMembershipExpiry } = require('./membershipExpiry');
+const { purgeDeletedUsers } = require('../utils/userDeletion');
+const { closeExpiredPostings } = require('../utils/jobBoard');
+const { retryMediaDeletions } = require('../utils/media');
+
+const MINUTE_MS = 60 * 1000;
+
+scheduler.registerJob(
+  'membership-expiry',
+  (Number(process.env.MEMBERSHIP_SWEEP_INTERVAL_MINUTES) || 60) * MINUTE_MS,
+  runMembershipExpiry
+);
+
+scheduler.registerJob('user-purge', 24 * 60 * MINUTE_MS, purgeDeletedUsers);
+
+scheduler.registerJob('job-postings-close', 60 * MINUTE_MS, closeExpiredPostings);
+
+scheduler.registerJob('media-cleanup', 60 * MINUTE_MS, retryMediaDeletions);
+
+module.exports = scheduler;
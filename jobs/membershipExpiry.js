@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const MembershipReminder = require('../models/MembershipReminder');
+const { sendMail } = require('../utils/mailer');
+const { revokeUserSessions } = require('../utils/tokens');
+const { invalidateUser } = require('../utils/userCache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which members are reminded, e.g. "30,7,1"
+const reminderDays = () =>
+  (process.env.MEMBERSHIP_REMINDER_DAYS || '30,7,1')
+    .split(',')
+    .map(Number)
+    .filter((days) => days > 0)
+    .sort((a, b) => a - b);
+
+// Deactivate members whose membership has expired. Admin accounts are left alone.
+const deactivateExpiredMembers = async (now) => {
+  const expired = await User.find({
+    status: 'active',
+    role: { $ne: 'admin' },
+    expiryDate: { $lt: now }
+  }).select('_id');
+
+  for (const user of expired) {
+    await User.updateOne({ _id: user._id }, { status: 'inactive' });
+    await revokeUserSessions(user._id);
+    invalidateUser(user._id);
+  }
+
+  return expired.length;
+};
+
+// Send each member at most one reminder per configured offset and expiry date.
+// Only the closest offset applies, so a member expiring in 5 days with offsets
+// 30/7/1 gets the 7-day reminder and not a late 30-day one.
+const sendExpiryReminders = async (now) => {
+  const offsets = reminderDays();
+  if (!offsets.length) return { sent: 0, failed: 0 };
+
+  const users = await User.find({
+    status: 'active',
+    role: { $ne: 'admin' },
+    expiryDate: { $gte: now, $lte: new Date(now.getTime() + offsets[offsets.length - 1] * DAY_MS) }
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    const daysLeft = Math.ceil((user.expiryDate - now) / DAY_MS);
+    const daysBefore = offsets.find((days) => days >= daysLeft);
+
+    // Claim the reminder first; the unique index makes this safe to retry
+    let reminder;
+    try {
+      reminder = await MembershipReminder.create({ user: user._id, expiryDate: user.expiryDate, daysBefore });
+    } catch (err) {
+      if (err.code === 11000) continue;
+      throw err;
+    }
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your membership is about to expire',
+        text: `Hello ${user.username},\n\nYour federation membership expires on ${user.expiryDate.toDateString()} (in ${daysLeft} day${daysLeft === 1 ? '' : 's'}). Please contact the federation office to renew it.`,
+      });
+      sent += 1;
+    } catch (err) {
+      // Release the claim so the next run retries
+      await reminder.remove();
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+const runMembershipExpiry = async () => {
+  const now = new Date();
+  const deactivated = await deactivateExpiredMembers(now);
+  const reminders = await sendExpiryReminders(now);
+
+  return { deactivated, remindersSent: reminders.sent, remindersFailed: reminders.failed };
+};
+
+module.exports = { runMembershipExpiry, deactivateExpiredMembers, sendExpiryReminders };
@@ -0,0 +1,71 @@
+const JobRun = require('../models/JobRun');
+
+// How often each job checks whether it is due
+const TICK_MS = 5 * 60 * 1000;
+
+// Runs left in "running" longer than this are assumed to belong to a crashed process
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+const jobs = [];
+const timers = [];
+
+// Register a job to run every intervalMs. The handler may resolve to an
+// object of stats, which is stored on the JobRun record.
+const registerJob = (name, intervalMs, handler) => {
+  jobs.push({ name, intervalMs, handler });
+};
+
+// Run a job if it is due. Due-ness is decided from the JobRun history, so a
+// restart doesn't trigger an extra run and several instances don't overlap.
+const runJob = async (job, logger) => {
+  const lastRun = await JobRun.findOne({ job: job.name, status: 'succeeded' }).sort({ startedAt: -1 });
+
+  if (lastRun && Date.now() - lastRun.startedAt.getTime() < job.intervalMs) {
+    return;
+  }
+
+  await JobRun.updateMany(
+    { job: job.name, status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+    { status: 'failed', error: 'Run abandoned', finishedAt: new Date() }
+  );
+
+  let run;
+  try {
+    run = await JobRun.create({ job: job.name });
+  } catch (err) {
+    // Another instance is already running this job
+    if (err.code === 11000) return;
+    throw err;
+  }
+
+  try {
+    run.stats = await job.handler();
+    run.status = 'succeeded';
+    logger.info(`Job ${job.name} finished`, { stats: run.stats });
+  } catch (err) {
+    run.status = 'failed';
+    run.error = err.message;
+    logger.error(`Job ${job.name} failed: ${err.message}`);
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+};
+
+// Start checking all registered jobs. Call once the database is connected.
+const start = (logger = console) => {
+  jobs.forEach((job) => {
+    const tick = () => runJob(job, logger).catch((err) => logger.error(`Job ${job.name} error: ${err.message}`));
+
+    tick();
+    const timer = setInterval(tick, Math.min(job.intervalMs, TICK_MS));
+    timer.unref();
+    timers.push(timer);
+  });
+};
+
+const stop = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = { registerJob, runJob, start, stop };
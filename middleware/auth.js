@@ -1,21 +1,113 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const checkActiveUser = require('./checkActiveUser');
+const { extractApiKey, findActiveApiKey } = require('../utils/apiKeys');
 
-module.exports = function(req, res, next) {
+// Verify the bearer token, its session and the user's current state.
+// Resolves to { user, sessionId }, or { error: { status, msg } } when the
+// request can't be authenticated. Database errors are thrown.
+const authenticate = async (req) => {
   // Get token from header
   const token = req.header('Authorization')?.split(' ')[1];
 
   // Check if not token
   if (!token) {
-    return res.status(401).json({ msg: 'No token, authorization denied' });
+    return { error: { status: 401, msg: 'No token, authorization denied' } };
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return { error: { status: 401, msg: 'Token is not valid' } };
+  }
+
+  // Reject tokens whose session was revoked (logout, deactivation, deletion)
+  const session = decoded.sid && await Session.findById(decoded.sid);
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return { error: { status: 401, msg: 'Session has expired or been revoked' } };
+  }
+
+  // The role in the token may be stale; check the user's current state
+  const { user, error } = await checkActiveUser(decoded.user);
+  if (error) {
+    return { error };
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+const auth = async function(req, res, next) {
+  let result;
+  try {
+    result = await authenticate(req);
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send('Server Error');
+  }
+
+  if (result.error) {
+    return res.status(result.error.status).json({ msg: result.error.msg });
+  }
+
+  req.user = result.user;
+  req.sessionId = result.sessionId;
+  next();
+};
 
-    req.user = decoded.user;
+// Like auth, but also accepts an API key that has the given scope. API key
+// requests have no req.user; the key is available as req.apiKey.
+// Usage: router.get('/', auth.allowApiKey('updates:read'), handler)
+auth.allowApiKey = (scope) => async (req, res, next) => {
+  const key = extractApiKey(req);
+
+  if (!key) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const apiKey = await findActiveApiKey(key, req.ip);
+
+    if (!apiKey) {
+      return res.status(401).json({ msg: 'API key is not valid' });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ msg: 'API key does not have the required scope' });
+    }
+
+    req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
     next();
   } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+// Authenticate when a token is sent, otherwise continue anonymously. Lets
+// public endpoints show extra data (e.g. an owner's drafts) to signed-in users.
+// An expired, revoked or otherwise rejected token also gets the public view
+// rather than a 401; only server errors are returned.
+// Usage: router.get('/:id', auth.optional, handler)
+auth.optional = async (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await authenticate(req);
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send('Server Error');
+  }
+
+  if (!result.error) {
+    req.user = result.user;
+    req.sessionId = result.sessionId;
   }
+  next();
 };
 
+module.exports = auth;
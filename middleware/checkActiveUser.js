@@ -1,26 +1,27 @@
-const User = require('../models/User');
+const { getAuthUser } = require('../utils/userCache');
 
-const checkActiveUser = async (req, res, next) => {
-  try {
-    const userId = req.user.id;
+// Re-validate the token's user against the database (through a short cache):
+// the account must still exist, be active and, for members, not be expired.
+// Resolves to { user } with the current role and staff roles in place of the
+// token's, or { error: { status, msg } }. Runs as part of middleware/auth.js.
+const checkActiveUser = async (tokenUser) => {
+  const user = await getAuthUser(tokenUser.id);
 
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ msg: 'User not found' });
-    }
+  if (!user) {
+    return { error: { status: 401, msg: 'User no longer exists' } };
+  }
 
-    // Check if the user is active
-    if (user.status !== 'active') {
-      return res.status(403).json({ msg: 'User is inactive' });
-    }
+  // Check if the user is active
+  if (user.status !== 'active') {
+    return { error: { status: 403, msg: 'User is inactive' } };
+  }
 
-    next();
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).json({ msg: 'Server Error' });
+  // Admin accounts are not subject to membership expiry
+  if (user.role !== 'admin' && user.expiryDate && user.expiryDate < new Date()) {
+    return { error: { status: 403, msg: 'Membership has expired. Please contact an administrator.' } };
   }
+
+  return { user: { ...tokenUser, role: user.role, roles: user.roles } };
 };
 
 module.exports = checkActiveUser;
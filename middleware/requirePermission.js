@@ -0,0 +1,17 @@
+const { hasPermission } = require('../config/roles');
+
+// Usage: router.post('/', [auth, requirePermission('updates:write')], handler)
+// Must run after the auth middleware.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ msg: 'Not authorized' });
+  }
+
+  next();
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const multer = require('multer');
+const sharp = require('sharp');
+const config = require('../config/uploads');
+
+const KIND_LABELS = {
+  image: 'JPEG, PNG or WebP images',
+  document: 'PDF or Word documents'
+};
+
+const removeFiles = (files) => {
+  files.forEach((file) => fs.unlink(file.path, () => {}));
+};
+
+const uploadedFiles = (req) => (req.file ? [req.file] : []).concat(Array.isArray(req.files) ? req.files : []);
+
+const readHeader = async (filePath, length) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Does the file start with one of the signatures of its declared type?
+// null entries in a signature match any byte.
+const matchesSignature = async (file, signatures) => {
+  const header = await readHeader(file.path, Math.max(...signatures.map((signature) => signature.length)));
+  return signatures.some((signature) =>
+    signature.length <= header.length && signature.every((byte, index) => byte === null || header[index] === byte)
+  );
+};
+
+// Returns an error message for a file that isn't what it claims to be
+const verifyFile = async (file, kind) => {
+  const { types } = config[kind];
+
+  if (!types[file.mimetype] || !(await matchesSignature(file, types[file.mimetype]))) {
+    return `${file.originalname} is not a valid file; only ${KIND_LABELS[kind]} are accepted`;
+  }
+
+  if (kind === 'image') {
+    try {
+      const { width, height } = await sharp(file.path, { limitInputPixels: config.image.maxPixels }).metadata();
+      if (!width || !height || width * height > config.image.maxPixels) {
+        return `${file.originalname} is too large; images can have at most ${config.image.maxPixels / 1e6} megapixels`;
+      }
+    } catch (err) {
+      return `${file.originalname} could not be read as an image`;
+    }
+  }
+
+  return null;
+};
+
+const multerMessage = (err, kind) => {
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Files can not be larger than ${config[kind].maxBytes / (1024 * 1024)} MB`;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Too many files, or an unexpected file field "${err.field}"`;
+    default:
+      return err.message;
+  }
+};
+
+// Build a middleware that accepts files of one kind ("image" or "document")
+// in a multipart field, sized and type-checked by config/uploads.js.
+// Temp files are always removed when the response finishes, however the
+// request ended, so routes don't need to clean up after themselves.
+const createUpload = (kind, field, maxCount) => {
+  const { maxBytes, types } = config[kind];
+  const parser = multer({
+    dest: config.tempDir,
+    limits: { fileSize: maxBytes, files: maxCount },
+    fileFilter: (req, file, cb) => {
+      if (!types[file.mimetype]) {
+        const err = new Error(`${file.originalname} is not allowed; only ${KIND_LABELS[kind]} are accepted`);
+        err.code = 'UNSUPPORTED_TYPE';
+        return cb(err);
+      }
+      cb(null, true);
+    }
+  });
+  const parse = maxCount === 1 ? parser.single(field) : parser.array(field, maxCount);
+
+  return (req, res, next) => {
+    let cleaned = false;
+    const cleanUp = () => {
+      if (cleaned) return;
+      cleaned = true;
+      removeFiles(uploadedFiles(req));
+    };
+    res.once('finish', cleanUp);
+    res.once('close', cleanUp);
+
+    parse(req, res, async (err) => {
+      if (err) {
+        // Multer has already removed any partial files
+        return res.status(400).json({ msg: multerMessage(err, kind) });
+      }
+
+      try {
+        for (const file of uploadedFiles(req)) {
+          const error = await verifyFile(file, kind);
+          if (error) {
+            return res.status(400).json({ msg: error });
+          }
+        }
+        next();
+      } catch (verifyErr) {
+        console.error(verifyErr.message);
+        res.status(500).send('Server Error');
+      }
+    });
+  };
+};
+
+// Usage: router.post('/', [auth, upload.images('images', 5)], handler)
+module.exports = {
+  images: (field, maxCount) => createUpload('image', field, maxCount),
+  image: (field) => createUpload('image', field, 1),
+  document: (field) => createUpload('document', field, 1)
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/roles');
+
+// Credential for server-to-server integrations. Only the key's hash is
+// stored; the prefix is kept so admins can tell keys apart.
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [(scopes) => scopes.length > 0, 'At least one scope is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiKeySchema.virtual('status').get(function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt < new Date()) return 'expired';
+  return 'active';
+});
+
+ApiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const { productUnits, gstRegistrationTypes } = require('../config/industries');
+const { isValidGstin, gstinError, parseGstin } = require('../utils/gstin');
+
+const storedFile = {
+  url: String,
+  publicId: String // Storage id, needed to delete the file
+};
+
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String,
+  width: Number,
+  height: Number,
+  // Resized copies generated on upload (see utils/images.js)
+  variants: {
+    medium: storedFile,
+    thumbnail: storedFile
+  }
+});
 
 const IndustrySchema = new mongoose.Schema({
   name: {
@@ -16,22 +38,57 @@ const IndustrySchema = new mongoose.Schema({
   products: [{
     name: {
       type: String,
-      required: true
+      required: true,
+      trim: true,
+      maxlength: [100, 'Product name can not be more than 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Product description can not be more than 500 characters']
     },
-    description: String,
     price: {
       type: Number,
-      required: true
+      required: true,
+      min: [0, 'Price can not be negative']
     },
-    images: [{
-      type: String // Array of URLs for product photos
-    }]
+    unit: {
+      type: String,
+      enum: productUnits,
+      default: 'piece'
+    },
+    images: [imageSchema]
   }],
   materials: [String],
-  gstInfo: {
-    type: String,
-    required: [true, 'Please add GST information']
+  // GST registration. stateCode, state and pan are derived from the GSTIN.
+  // Required for new industries; older ones may only have the legacy gstInfo
+  // text until scripts/migrate-gst.js has been run.
+  gst: {
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      required: [function () { return this.isNew; }, 'Please add a GSTIN'],
+      validate: {
+        validator: (value) => !value || isValidGstin(value),
+        message: (props) => gstinError(props.value)
+      }
+    },
+    legalName: {
+      type: String,
+      trim: true,
+      required: [function () { return Boolean(this.gst && this.gst.gstin); }, 'Please add the legal name of the GST registration'],
+      maxlength: [100, 'Legal name can not be more than 100 characters']
+    },
+    registrationType: {
+      type: String,
+      enum: gstRegistrationTypes,
+      default: 'regular'
+    },
+    stateCode: String,
+    state: String,
+    pan: String
   },
+  gstInfo: String, // Legacy free-form GST details
   contactNumber: {
     type: String,
     required: [true, 'Please add a contact number']
@@ -48,13 +105,73 @@ const IndustrySchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  images: [{
-    type: String // General images related to the industry
-  }],
+  // General images related to the industry; the first one is the cover
+  images: [imageSchema],
+  // Review state. New listings start as pending (set by the create route);
+  // listings from before moderation existed have no status and count as approved.
+  moderation: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason can not be more than 500 characters']
+    },
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Images used to be stored as bare URLs. Accept those until
+// scripts/migrate-industry-images.js has converted them.
+const toImage = (image) => (typeof image === 'string' ? { url: image } : image);
+
+IndustrySchema.pre('init', function (doc) {
+  if (Array.isArray(doc.images)) {
+    doc.images = doc.images.map(toImage);
+  }
+  (doc.products || []).forEach((product) => {
+    if (Array.isArray(product.images)) {
+      product.images = product.images.map(toImage);
+    }
+  });
+});
+
+IndustrySchema.virtual('coverImage').get(function () {
+  return this.images && this.images.length ? this.images[0] : null;
+});
+
+IndustrySchema.set('toJSON', { virtuals: true });
+
+IndustrySchema.pre('validate', function (next) {
+  if (this.gst && this.gst.gstin && this.isModified('gst.gstin') && isValidGstin(this.gst.gstin)) {
+    const { gstin, stateCode, state, pan } = parseGstin(this.gst.gstin);
+    Object.assign(this.gst, { gstin, stateCode, state, pan });
+  }
+  next();
+});
+
+IndustrySchema.index({ 'moderation.status': 1, 'moderation.submittedAt': 1 });
+
+// One listing per GST registration
+IndustrySchema.index(
+  { 'gst.gstin': 1 },
+  { unique: true, partialFilterExpression: { 'gst.gstin': { $type: 'string' } } }
+);
+
+// Full-text search for the directory; names count most, then products and materials
+IndustrySchema.index(
+  { name: 'text', 'products.name': 'text', materials: 'text', description: 'text' },
+  { name: 'industry_search', weights: { name: 10, 'products.name': 5, materials: 3, description: 1 } }
+);
+
 module.exports = mongoose.model('Industry', IndustrySchema);
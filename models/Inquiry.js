@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const replySchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    required: [true, 'Please add a message'],
+    maxlength: [2000, 'Message can not be more than 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A buyer's inquiry to an industry, optionally about one of its products.
+// The industry owner sees it in their inbox and replies by email.
+const InquirySchema = new mongoose.Schema({
+  industry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Industry',
+    required: true
+  },
+  product: mongoose.Schema.Types.ObjectId,
+  productName: String, // Kept in case the product is removed later
+  name: {
+    type: String,
+    required: [true, 'Please add your name'],
+    trim: true,
+    maxlength: [100, 'Name can not be more than 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add your email'],
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    maxlength: [20, 'Phone number can not be longer than 20 characters']
+  },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company can not be more than 100 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Please add a message'],
+    maxlength: [2000, 'Message can not be more than 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['new', 'read', 'replied'],
+    default: 'new'
+  },
+  replies: [replySchema],
+  readAt: Date,
+  repliedAt: Date,
+  // Used for throttling only, never shown to owners
+  ip: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InquirySchema.index({ industry: 1, createdAt: -1 });
+InquirySchema.index({ ip: 1, createdAt: -1 });
+InquirySchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Inquiry', InquirySchema);
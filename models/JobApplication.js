@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A member's application to a job posting. The industry owner reviews it.
+const JobApplicationSchema = new mongoose.Schema({
+  posting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobPosting',
+    required: true,
+    index: true
+  },
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  coverLetter: {
+    type: String,
+    maxlength: [2000, 'Cover letter can not be more than 2000 characters']
+  },
+  resume: {
+    url: {
+      type: String,
+      required: true
+    },
+    publicId: String,
+    fileName: String
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'shortlisted', 'rejected'],
+    default: 'submitted'
+  },
+  reviewNote: {
+    type: String,
+    maxlength: [500, 'Note can not be more than 500 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One application per member per posting
+JobApplicationSchema.index({ posting: 1, applicant: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobApplication', JobApplicationSchema);
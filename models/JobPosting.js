@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { employmentTypes } = require('../config/industries');
+
+const JobPostingSchema = new mongoose.Schema({
+  industry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Industry',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title can not be more than 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Please add a description'],
+    maxlength: [2000, 'Description can not be more than 2000 characters']
+  },
+  positions: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least one position is required']
+  },
+  qualifications: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'A qualification can not be more than 200 characters']
+  }],
+  employmentType: {
+    type: String,
+    enum: employmentTypes,
+    default: 'full_time'
+  },
+  location: {
+    type: String,
+    required: [true, 'Please add a location'],
+    trim: true,
+    maxlength: [100, 'Location can not be more than 100 characters']
+  },
+  salary: {
+    min: {
+      type: Number,
+      min: [0, 'Salary can not be negative']
+    },
+    max: {
+      type: Number,
+      min: [0, 'Salary can not be negative'],
+      validate: {
+        validator: function (value) {
+          return value == null || this.salary.min == null || value >= this.salary.min;
+        },
+        message: 'Maximum salary can not be less than the minimum'
+      }
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    period: {
+      type: String,
+      enum: ['hour', 'month', 'year'],
+      default: 'month'
+    }
+  },
+  closingDate: Date,
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+    index: true
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+JobPostingSchema.index(
+  { title: 'text', description: 'text', qualifications: 'text', location: 'text' },
+  { name: 'job_search', weights: { title: 10, qualifications: 5, location: 3, description: 1 } }
+);
+
+// Open postings still accepting applications
+JobPostingSchema.statics.openFilter = (now = new Date()) => ({
+  status: 'open',
+  $or: [{ closingDate: null }, { closingDate: { $gte: now } }]
+});
+
+JobPostingSchema.virtual('acceptingApplications').get(function () {
+  return this.status === 'open' && (!this.closingDate || this.closingDate >= new Date());
+});
+
+JobPostingSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('JobPosting', JobPostingSchema);
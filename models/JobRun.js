@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One execution of a scheduled background job (see jobs/scheduler.js)
+const JobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  stats: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+});
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+
+// At most one running execution per job, even with several server instances
+JobRunSchema.index(
+  { job: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
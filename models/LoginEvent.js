@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Audit trail of login attempts, also used to count failures per IP
+const LoginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: String,
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['success', 'invalid_credentials', 'invalid_two_factor', 'account_locked', 'ip_blocked', 'inactive', 'pending']
+  },
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LoginEventSchema.index({ user: 1, createdAt: -1 });
+LoginEventSchema.index({ ip: 1, reason: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoginEvent', LoginEventSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A group of names for the same material or product, used by supplier
+// matchmaking (utils/matchmaking.js). Terms are stored normalised.
+const MaterialSynonymSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: [true, 'Please add a term'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Term can not be more than 100 characters']
+  },
+  synonyms: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, 'A synonym can not be more than 100 characters']
+    }],
+    validate: [(synonyms) => synonyms.length > 0, 'Please add at least one synonym']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('MaterialSynonym', MaterialSynonymSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A stored file whose deletion failed. The media-cleanup job retries it
+// until it succeeds (see utils/media.js).
+const MediaDeletionSchema = new mongoose.Schema({
+  publicId: {
+    type: String,
+    required: true
+  },
+  resourceType: {
+    type: String,
+    default: 'image'
+  },
+  // Storage driver holding the file (see utils/storage)
+  driver: {
+    type: String,
+    default: 'cloudinary'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MediaDeletionSchema.index({ driver: 1, publicId: 1, resourceType: 1 }, { unique: true });
+
+module.exports = mongoose.model('MediaDeletion', MediaDeletionSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Record of an expiry reminder sent to a member, so each reminder goes out once
+const MembershipReminderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  daysBefore: {
+    type: Number,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MembershipReminderSchema.index({ user: 1, expiryDate: 1, daysBefore: 1 }, { unique: true });
+
+module.exports = mongoose.model('MembershipReminder', MembershipReminderSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One renewal in a member's membership ledger
+const MembershipTermSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  months: {
+    type: Number,
+    required: true,
+    min: [1, 'A term must be at least one month']
+  },
+  feeAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee amount can not be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  paymentReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment reference can not be more than 100 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes can not be more than 500 characters']
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+module.exports = mongoose.model('MembershipTerm', MembershipTermSchema);
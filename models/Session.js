@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A login session backing one refresh token. Access tokens carry the session
+// id so they stop working as soon as the session is revoked.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The refresh token this one replaced; presenting it again means it leaked
+  previousRefreshTokenHash: String,
+  userAgent: String,
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB remove sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
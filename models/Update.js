@@ -18,6 +18,11 @@ const UpdateSchema = new mongoose.Schema({
     maxlength: [1000, 'Content can not be more than 1000 characters']
   },
   imageUrl: String,
+  imagePublicId: String, // Storage id of the image, needed to delete it
+  imageVariants: {
+    medium: { url: String, publicId: String },
+    thumbnail: { url: String, publicId: String }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
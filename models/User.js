@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../config/roles');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -29,26 +31,103 @@ const UserSchema = new mongoose.Schema({
     enum: ['member', 'admin'],
     default: 'member'
   },
+  // Staff roles delegated by an admin, see config/roles.js
+  roles: [{
+    type: String,
+    enum: Object.keys(ROLES)
+  }],
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company cannot exceed 100 characters']
+  },
+  // "pending" accounts are waiting for their invitation to be accepted
   status: {
     type: String,
-    enum: ['active', 'inactive'],
+    enum: ['active', 'inactive', 'pending'],
     default: 'active'
   },
   expiryDate: {
     type: Date,
     default: () => new Date(new Date().setMonth(new Date().getMonth() + 3)) // 3 months from creation
   },
+  // TOTP two-factor authentication, see routes/twoFactor.js
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being enrolled, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Brute-force protection, see utils/loginThrottle.js
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // New email waiting for confirmation through the link sent to it
+  pendingEmail: String,
+  emailChangeToken: String,
+  emailChangeExpire: Date,
+  // Soft deletion: the account is kept (inactive) until purged, see utils/userDeletion.js
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Status to return to if the deletion is undone
+  statusBeforeDeletion: {
+    type: String,
+    enum: ['active', 'inactive', 'pending']
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
-// Middleware to set user inactive if expiryDate is reached
+// Never send password hashes or one-time token hashes to clients
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.resetPasswordToken;
+    delete ret.emailChangeToken;
+    if (ret.twoFactor) {
+      ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+    }
+    return ret;
+  }
+});
+
+// Middleware to set user inactive if expiryDate is reached. Admin accounts
+// are not subject to membership expiry.
 UserSchema.pre('save', function (next) {
-  if (this.expiryDate < new Date()) {
+  if (this.role !== 'admin' && this.expiryDate < new Date()) {
     this.status = 'inactive';
   }
   next();
@@ -69,4 +148,25 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a password reset token; only its hash is stored on the user
+UserSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = Date.now() + (Number(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 10) * 60 * 1000;
+
+  return resetToken;
+};
+
+// Start an email change; the returned token confirms ownership of the new address
+UserSchema.methods.getEmailChangeToken = function (newEmail) {
+  const changeToken = crypto.randomBytes(20).toString('hex');
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = crypto.createHash('sha256').update(changeToken).digest('hex');
+  this.emailChangeExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return changeToken;
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { API_KEY_SCOPES } = require('../config/roles');
+const { generateApiKey } = require('../utils/apiKeys');
+
+// @route   POST api/api-keys
+// @desc    Create an API key. The key itself is only returned in this response.
+// @access  Private (apiKeys:manage)
+router.post(
+  '/',
+  [
+    auth,
+    requirePermission('apiKeys:manage'),
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('name', 'Name cannot exceed 100 characters').isLength({ max: 100 }),
+    check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+    check('scopes.*', `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`).isIn(API_KEY_SCOPES),
+    check('expiresAt', 'Expiry must be a future date').optional({ nullable: true }).isISO8601().toDate()
+      .custom((value) => value > new Date())
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    try {
+      const { key, prefix, keyHash } = generateApiKey();
+
+      const apiKey = await ApiKey.create({
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({ apiKey, key });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   GET api/api-keys
+// @desc    List API keys (never includes the keys themselves)
+// @access  Private (apiKeys:manage)
+router.get('/', [auth, requirePermission('apiKeys:manage')], async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 }).populate('createdBy', 'username');
+    res.json(apiKeys);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/api-keys/:id
+// @desc    Revoke an API key; it stops working immediately
+// @access  Private (apiKeys:manage)
+router.delete('/:id', [auth, requirePermission('apiKeys:manage')], async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ msg: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      // Not save(): keys created with since-removed scopes would fail validation
+      apiKey.revokedAt = new Date();
+      await ApiKey.updateOne({ _id: apiKey._id }, { revokedAt: apiKey.revokedAt });
+    }
+
+    res.json({ msg: 'API key revoked', apiKey });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'API key not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
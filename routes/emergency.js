@@ -3,6 +3,7 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const EmergencyContact = require('../models/EmergencyContact');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
 // @route   GET api/emergency
 // @desc    Get all emergency contacts
@@ -19,11 +20,12 @@ router.get('/', async (req, res) => {
 
 // @route   POST api/emergency
 // @desc    Create a new emergency contact
-// @access  Private (Admin only)
+// @access  Private (emergency:write)
 router.post(
   '/',
   [
     auth,
+    requirePermission('emergency:write'),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('number', 'Number is required').not().isEmpty(),
@@ -37,10 +39,6 @@ router.post(
     }
 
     try {
-      if (req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
-      }
-
       const { name, number, category } = req.body;
 
       const newContact = new EmergencyContact({
@@ -61,8 +59,8 @@ router.post(
 
 // @route   PUT api/emergency/:id
 // @desc    Update an emergency contact
-// @access  Private (Admin only)
-router.put('/:id', [auth, [
+// @access  Private (emergency:write)
+router.put('/:id', [auth, requirePermission('emergency:write'), [
   check('name', 'Name is required').not().isEmpty(),
   check('number', 'Number is required').not().isEmpty(),
   check('category', 'Category is required').not().isEmpty()
@@ -73,10 +71,6 @@ router.put('/:id', [auth, [
   }
 
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     let contact = await EmergencyContact.findById(req.params.id);
 
     if (!contact) {
@@ -101,13 +95,9 @@ router.put('/:id', [auth, [
 
 // @route   DELETE api/emergency/:id
 // @desc    Delete an emergency contact
-// @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (emergency:write)
+router.delete('/:id', [auth, requirePermission('emergency:write')], async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const contact = await EmergencyContact.findById(req.params.id);
 
     if (!contact) {
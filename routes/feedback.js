@@ -3,6 +3,8 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const { FeedbackQuestion, FeedbackResponse } = require('../models/feedback');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../config/roles');
 
 // ==========================================
 // FEEDBACK QUESTION ROUTES (ADMIN SIDE)
@@ -10,14 +12,9 @@ const auth = require('../middleware/auth');
 
 // @route   GET api/feedback/questions/admin
 // @desc    Get all feedback questions (admin view)
-// @access  Private (Admin only)
-router.get('/questions/admin', auth, async (req, res) => {
+// @access  Private (feedback:manage)
+router.get('/questions/admin', [auth, requirePermission('feedback:manage')], async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const questions = await FeedbackQuestion.find()
       .sort({ createdAt: -1 })
       .populate('createdBy', 'username');
@@ -73,11 +70,12 @@ router.get('/questions/:id', async (req, res) => {
 
 // @route   POST api/feedback/questions
 // @desc    Create a new feedback question
-// @access  Private (Admin only)
+// @access  Private (feedback:manage)
 router.post(
   '/questions',
   [
     auth,
+    requirePermission('feedback:manage'),
     [
       check('title', 'Title is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
@@ -93,11 +91,6 @@ router.post(
     }
 
     try {
-      // Check if user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
-      }
-
       const { title, description, category, expiresAt } = req.body;
 
       const newQuestion = new FeedbackQuestion({
@@ -120,11 +113,12 @@ router.post(
 
 // @route   PUT api/feedback/questions/:id
 // @desc    Update a feedback question
-// @access  Private (Admin only)
+// @access  Private (feedback:manage)
 router.put(
   '/questions/:id',
   [
     auth,
+    requirePermission('feedback:manage'),
     [
       check('title', 'Title is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty()
@@ -137,11 +131,6 @@ router.put(
     }
 
     try {
-      // Check if user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
-      }
-
       const question = await FeedbackQuestion.findById(req.params.id);
 
       if (!question) {
@@ -172,14 +161,9 @@ router.put(
 
 // @route   DELETE api/feedback/questions/:id
 // @desc    Delete a feedback question
-// @access  Private (Admin only)
-router.delete('/questions/:id', auth, async (req, res) => {
+// @access  Private (feedback:manage)
+router.delete('/questions/:id', [auth, requirePermission('feedback:manage')], async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const question = await FeedbackQuestion.findById(req.params.id);
 
     if (!question) {
@@ -215,14 +199,9 @@ router.delete('/questions/:id', auth, async (req, res) => {
 
 // @route   GET api/feedback/responses/admin
 // @desc    Get all feedback responses (admin view)
-// @access  Private (Admin only)
-router.get('/responses/admin', auth, async (req, res) => {
+// @access  Private (feedback:manage)
+router.get('/responses/admin', [auth, requirePermission('feedback:manage')], async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const responses = await FeedbackResponse.find()
       .sort({ createdAt: -1 })
       .populate('feedbackId', 'title category')
@@ -237,14 +216,9 @@ router.get('/responses/admin', auth, async (req, res) => {
 
 // @route   GET api/feedback/responses/question/:questionId
 // @desc    Get all responses for a specific question (admin view)
-// @access  Private (Admin only)
-router.get('/responses/question/:questionId', auth, async (req, res) => {
+// @access  Private (feedback:manage)
+router.get('/responses/question/:questionId', [auth, requirePermission('feedback:manage')], async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const responses = await FeedbackResponse.find({ feedbackId: req.params.questionId })
       .sort({ createdAt: -1 })
       .populate('createdBy', 'username email');
@@ -340,11 +314,12 @@ router.post(
 
 // @route   PUT api/feedback/responses/:id/comment
 // @desc    Add admin comment to a response
-// @access  Private (Admin only)
+// @access  Private (feedback:manage)
 router.put(
   '/responses/:id/comment',
   [
     auth,
+    requirePermission('feedback:manage'),
     [
       check('adminComment', 'Comment is required').not().isEmpty()
     ]
@@ -356,11 +331,6 @@ router.put(
     }
 
     try {
-      // Check if user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
-      }
-
       const response = await FeedbackResponse.findById(req.params.id);
 
       if (!response) {
@@ -386,11 +356,12 @@ router.put(
 
 // @route   PUT api/feedback/responses/:id/status
 // @desc    Update response status
-// @access  Private (Admin only)
+// @access  Private (feedback:manage)
 router.put(
   '/responses/:id/status',
   [
     auth,
+    requirePermission('feedback:manage'),
     [
       check('status', 'Status must be valid').isIn(['pending', 'viewed', 'addressed'])
     ]
@@ -402,11 +373,6 @@ router.put(
     }
 
     try {
-      // Check if user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
-      }
-
       const response = await FeedbackResponse.findById(req.params.id);
 
       if (!response) {
@@ -431,7 +397,7 @@ router.put(
 
 // @route   DELETE api/feedback/responses/:id
 // @desc    Delete a response
-// @access  Private (Admin or owner only)
+// @access  Private (feedback:manage or owner)
 router.delete('/responses/:id', auth, async (req, res) => {
   try {
     const response = await FeedbackResponse.findById(req.params.id);
@@ -440,9 +406,10 @@ router.delete('/responses/:id', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Feedback response not found' });
     }
 
-    // Check if user is admin or the creator of the response
-    if (req.user.role !== 'admin' && response.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ msg: 'Not authorized' });
+    // Check if user manages feedback or is the creator of the response.
+    // Anonymised responses (purged users) have no creator.
+    if (!hasPermission(req.user, 'feedback:manage') && (!response.createdBy || !response.createdBy.equals(req.user.id))) {
+      return res.status(403).json({ msg: 'Not authorized' });
     }
 
     await response.remove();
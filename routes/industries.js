@@ -3,26 +3,48 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const Industry = require('../models/Industry');
 const auth = require('../middleware/auth');
-const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const fs = require('fs');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Configure Multer for file uploads
-const upload = multer({ dest: 'uploads/' });
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../config/roles');
+const {
+  PUBLIC_INDUSTRY_FILTER,
+  canManageIndustry,
+  canViewIndustry,
+  flagForReview
+} = require('../utils/industryAccess');
+const { sendMail } = require('../utils/mailer');
+const { normalizeGstin, gstinError } = require('../utils/gstin');
+const { removeIndustries } = require('../utils/industries');
+const { gstRegistrationTypes, maxIndustryImages } = require('../config/industries');
+const {
+  industryQueryRules,
+  buildIndustryFilter,
+  buildMaterialFilter,
+  buildIndustrySort
+} = require('../utils/industryQuery');
+const upload = require('../middleware/upload');
+const { storeImages } = require('../utils/images');
+const { destroyMedia } = require('../utils/media');
+const MaterialSynonym = require('../models/MaterialSynonym');
+const { buildSynonymIndex, rankMatches } = require('../utils/matchmaking');
+
+router.use('/:id/products', require('./products'));
+router.use('/:id/images', require('./industryImages'));
 
 // @route   GET api/industries
-// @desc    Get all industries
+// @desc    Get all approved industries, optionally filtered (same parameters as /search)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', industryQueryRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const industries = await Industry.find().populate('owner', 'username');
+    const filter = { ...buildIndustryFilter(req.query), ...buildMaterialFilter(req.query), ...PUBLIC_INDUSTRY_FILTER };
+    const industries = await Industry.find(filter, req.query.q ? { score: { $meta: 'textScore' } } : {})
+      .sort(buildIndustrySort(req.query))
+      .populate('owner', 'username');
+
     res.json(industries);
   } catch (err) {
     console.error(err.message);
@@ -30,14 +52,112 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET api/industries/search
+// @desc    Search approved industries (?q=) with filters (?vacancy=, ?material=, ?minPrice=,
+//          ?maxPrice=, ?owner=), ?sort=, ?page=/?limit= and material/vacancy facets
+// @access  Public
+router.get('/search', industryQueryRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+  const materialFilter = buildMaterialFilter(req.query);
+
+  try {
+    const pipeline = [{ $match: { ...buildIndustryFilter(req.query), ...PUBLIC_INDUSTRY_FILTER } }];
+    pipeline.push({ $addFields: { coverImage: { $arrayElemAt: ['$images', 0] } } });
+    if (req.query.q) {
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+    pipeline.push({
+      $facet: {
+        industries: [
+          { $match: materialFilter },
+          { $sort: buildIndustrySort(req.query) },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $match: materialFilter }, { $count: 'count' }],
+        // Counted before the material filter so visitors can see the alternatives
+        materials: [
+          { $unwind: '$materials' },
+          { $group: { _id: { $toLower: '$materials' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 }
+        ],
+        vacancy: [
+          { $match: materialFilter },
+          { $group: { _id: { $ifNull: ['$vacancy.available', false] }, count: { $sum: 1 } } }
+        ]
+      }
+    });
+
+    const [result] = await Industry.aggregate(pipeline);
+    const industries = await Industry.populate(result.industries, { path: 'owner', select: 'username' });
+    const total = result.total.length ? result.total[0].count : 0;
+    const vacancyCount = (available) => (result.vacancy.find((bucket) => bucket._id === available) || { count: 0 }).count;
+
+    res.json({
+      industries,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      facets: {
+        materials: result.materials.map((bucket) => ({ value: bucket._id, count: bucket.count })),
+        vacancy: { available: vacancyCount(true), unavailable: vacancyCount(false) }
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/industries/review
+// @desc    Moderation queue, oldest submissions first (?status=pending|rejected|approved)
+// @access  Private (industries:moderate)
+router.get(
+  '/review',
+  [
+    auth,
+    requirePermission('industries:moderate'),
+    check('status', 'Invalid status').optional().isIn(['pending', 'rejected', 'approved'])
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const status = req.query.status || 'pending';
+
+    try {
+      const industries = await Industry.find(status === 'approved' ? PUBLIC_INDUSTRY_FILTER : { 'moderation.status': status })
+        .sort({ 'moderation.submittedAt': 1, createdAt: 1 })
+        .populate('owner', 'username email')
+        .populate('moderation.reviewedBy', 'username');
+
+      res.json(industries);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
 // @route   GET api/industries/:id
-// @desc    Get industry by ID
+// @desc    Get industry by ID. Pending and rejected listings are only shown to
+//          their owner and moderators.
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth.optional, async (req, res) => {
   try {
     const industry = await Industry.findById(req.params.id).populate('owner', 'username');
 
-    if (!industry) {
+    if (!industry || !canViewIndustry(req.user, industry)) {
       return res.status(404).json({ msg: 'Industry not found' });
     }
 
@@ -51,12 +171,68 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET api/industries/:id/matches
+// @desc    Matchmaking: approved member industries whose products match this
+//          industry's materials (suppliers) and whose materials match its
+//          products (customers), best matches first (?limit=)
+// @access  Private
+router.get(
+  '/:id/matches',
+  [auth, check('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 }).toInt()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const industry = await Industry.findById(req.params.id);
+
+      if (!industry || !canViewIndustry(req.user, industry)) {
+        return res.status(404).json({ msg: 'Industry not found' });
+      }
+
+      const [candidates, synonymGroups] = await Promise.all([
+        Industry.find(PUBLIC_INDUSTRY_FILTER).select('name materials products.name contactNumber images'),
+        MaterialSynonym.find()
+      ]);
+
+      const { suppliers, customers } = rankMatches(industry, candidates, buildSynonymIndex(synonymGroups), {
+        limit: req.query.limit || 10
+      });
+
+      const summarize = ({ industry: match, score, matches }) => ({
+        industry: {
+          _id: match._id,
+          name: match.name,
+          contactNumber: match.contactNumber,
+          coverImage: match.coverImage
+        },
+        score,
+        matches
+      });
+
+      res.json({ suppliers: suppliers.map(summarize), customers: customers.map(summarize) });
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: 'Industry not found' });
+      }
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
 // @route   GET api/industries/owner/:ownerId
-// @desc    Get industries by owner ID
+// @desc    Get industries by owner ID. Owners and moderators also see pending
+//          and rejected listings.
 // @access  Public
-router.get('/owner/:ownerId', async (req, res) => {
+router.get('/owner/:ownerId', auth.optional, async (req, res) => {
   try {
-    const industries = await Industry.find({ owner: req.params.ownerId }).populate('owner', 'username');
+    const seesDrafts = req.user &&
+      (req.user.id === req.params.ownerId || hasPermission(req.user, 'industries:moderate'));
+    const filter = { owner: req.params.ownerId, ...(seesDrafts ? {} : PUBLIC_INDUSTRY_FILTER) };
+    const industries = await Industry.find(filter).populate('owner', 'username');
 
     if (!industries.length) {
       return res.status(404).json({ msg: 'No industries found for this owner' });
@@ -72,32 +248,55 @@ router.get('/owner/:ownerId', async (req, res) => {
   }
 });
 
-// Helper function for uploading images to Cloudinary
-const uploadImagesToCloudinary = async (files) => {
-  const uploadPromises = files.map((file) =>
-    cloudinary.uploader.upload(file.path, { folder: 'industries' })
-  );
-  const uploadResults = await Promise.all(uploadPromises);
-
-  // Delete local files after uploading
-  files.forEach((file) => fs.unlinkSync(file.path));
+// Multipart clients may send nested fields as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
 
-  return uploadResults.map((result) => result.secure_url);
+// The GST block: gst[gstin], gst[legalName] and gst[registrationType], or gst as a JSON string
+const gstRules = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    check('gst').customSanitizer(parseJsonField),
+    field('gst.gstin', 'GSTIN is required').customSanitizer(normalizeGstin).not().isEmpty().bail()
+      .custom((value) => {
+        const error = gstinError(value);
+        if (error) throw new Error(error);
+        return true;
+      }),
+    field('gst.legalName', 'Legal name of the GST registration is required').trim().not().isEmpty(),
+    check('gst.legalName', 'Legal name can not be more than 100 characters').optional().isLength({ max: 100 }),
+    check('gst.registrationType', `Registration type must be one of: ${gstRegistrationTypes.join(', ')}`)
+      .optional()
+      .isIn(gstRegistrationTypes),
+  ];
 };
 
+const gstinTaken = async (gstin, exceptId) =>
+  Boolean(await Industry.exists({ 'gst.gstin': normalizeGstin(gstin), _id: { $ne: exceptId } }));
+
 // @route   POST api/industries
-// @desc    Create an industry
+// @desc    Create an industry. It is listed publicly once a moderator approves it.
 // @access  Private
 router.post(
   '/',
   [
     auth,
-    upload.array('images', 5), // Max 5 images
+    upload.images('images', maxIndustryImages),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
-      check('gstInfo', 'GST information is required').not().isEmpty(),
       check('contactNumber', 'Contact number is required').not().isEmpty(),
+      check('products', 'Products must be a list').optional().customSanitizer(parseJsonField).isArray(),
+      check('materials', 'Materials must be a list').optional().customSanitizer(parseJsonField).isArray(),
+      check('vacancy', 'Vacancy must be an object').optional().customSanitizer(parseJsonField).isObject(),
+      ...gstRules(false),
     ],
   ],
   async (req, res) => {
@@ -107,66 +306,235 @@ router.post(
     }
 
     try {
-      const { name, description, products, materials, gstInfo, contactNumber, vacancy } = req.body;
+      const { name, description, products, materials, gst, contactNumber, vacancy } = req.body;
 
-      // Upload industry images to Cloudinary
-      const images = await uploadImagesToCloudinary(req.files);
+      if (await gstinTaken(gst.gstin)) {
+        return res.status(400).json({ msg: 'An industry with this GSTIN is already listed' });
+      }
 
-      // Parse and process products
-      const parsedProducts = typeof products === 'string' ? JSON.parse(products) : products;
+      // Only product details are taken; images (and their storage ids) are
+      // added through /api/industries/:id/products, which stores the files itself
+      const initialProducts = (products || []).map((product) => ({
+        name: product.name,
+        description: product.description,
+        price: product.price,
+        unit: product.unit
+      }));
+
+      // Store the industry images
+      const images = await storeImages(req.files, { folder: 'industries' });
 
       const newIndustry = new Industry({
         name,
         description,
-        products: parsedProducts,
-        materials: typeof materials === 'string' ? JSON.parse(materials) : materials,
-        gstInfo,
+        products: initialProducts,
+        materials,
+        gst: {
+          gstin: gst.gstin,
+          legalName: gst.legalName,
+          registrationType: gst.registrationType,
+        },
         contactNumber,
-        vacancy: typeof vacancy === 'string' ? JSON.parse(vacancy) : vacancy,
+        vacancy,
         owner: req.user.id,
         images,
+        moderation: { status: 'pending', submittedAt: new Date() },
       });
 
-      const industry = await newIndustry.save();
+      let industry;
+      try {
+        industry = await newIndustry.save();
+      } catch (err) {
+        // Don't keep files for an industry that was never created
+        await destroyMedia(images);
+        throw err;
+      }
 
       res.json(industry);
     } catch (err) {
       console.error(err.message);
+      if (err.code === 11000 && err.keyPattern && err.keyPattern['gst.gstin']) {
+        return res.status(400).json({ msg: 'An industry with this GSTIN is already listed' });
+      }
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: err.message });
+      }
       res.status(500).send('Server Error');
     }
   }
 );
 
 // @route   PUT api/industries/:id
-// @desc    Update an industry
-// @access  Private
+// @desc    Update an industry. Owner changes to key fields send it back for review.
+// @access  Private (owner or industries:moderate)
 router.put(
   '/:id',
-  [auth, upload.array('images', 5)],
+  [auth, upload.images('images', maxIndustryImages), gstRules(true)],
   async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
-      let industry = await Industry.findById(req.params.id);
+      const industry = await Industry.findById(req.params.id);
 
       if (!industry) {
         return res.status(404).json({ msg: 'Industry not found' });
       }
 
-      // Make sure user owns industry or is an admin
-      if (industry.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
+      // Make sure user owns industry or moderates industries
+      if (!canManageIndustry(req.user, industry)) {
+        return res.status(403).json({ msg: 'Not authorized' });
       }
 
-      const { products, ...updates } = req.body;
+      // Only listing details can be edited here. Products are managed through
+      // /api/industries/:id/products; owner and moderation status are never
+      // taken from the request.
+      const { gst, materials, vacancy } = req.body;
+      const updates = {};
+      ['name', 'description', 'contactNumber'].forEach((field) => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      if (gst) {
+        if (gst.gstin && await gstinTaken(gst.gstin, industry._id)) {
+          return res.status(400).json({ msg: 'An industry with this GSTIN is already listed' });
+        }
+
+        // stateCode, state and pan are derived from the GSTIN on save
+        ['gstin', 'legalName', 'registrationType'].forEach((field) => {
+          if (gst[field] !== undefined) industry.gst[field] = gst[field];
+        });
+      }
 
-      // Upload new images to Cloudinary if provided
+      if (materials !== undefined) updates.materials = parseJsonField(materials);
+      if (vacancy !== undefined) updates.vacancy = parseJsonField(vacancy);
+
+      // New images are added after the existing ones; use the image
+      // endpoints to remove or reorder them
+      let images = [];
       if (req.files.length > 0) {
-        updates.images = await uploadImagesToCloudinary(req.files);
+        if (industry.images.length + req.files.length > maxIndustryImages) {
+          return res.status(400).json({ msg: `An industry can have at most ${maxIndustryImages} images` });
+        }
+        images = await storeImages(req.files, { folder: 'industries' });
+        industry.images.push(...images);
+      }
+
+      industry.set(updates);
+      flagForReview(req.user, industry);
+
+      try {
+        await industry.save();
+      } catch (err) {
+        await destroyMedia(images);
+        throw err;
       }
 
-      // Parse and update products
-      updates.products = typeof products === 'string' ? JSON.parse(products) : products;
+      res.json(industry);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: 'Industry not found' });
+      }
+      if (err.code === 11000 && err.keyPattern && err.keyPattern['gst.gstin']) {
+        return res.status(400).json({ msg: 'An industry with this GSTIN is already listed' });
+      }
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: err.message });
+      }
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// Tell the owner about a moderation decision. Failures are logged, not returned.
+const notifyOwner = async (industry, subject, text) => {
+  try {
+    await sendMail({ to: industry.owner.email, subject, text });
+  } catch (err) {
+    console.error(err.message);
+  }
+};
+
+// @route   PUT api/industries/:id/approve
+// @desc    Approve a listing so it appears in the public directory
+// @access  Private (industries:moderate)
+router.put('/:id/approve', [auth, requirePermission('industries:moderate')], async (req, res) => {
+  try {
+    const industry = await Industry.findById(req.params.id).populate('owner', 'username email');
+
+    if (!industry) {
+      return res.status(404).json({ msg: 'Industry not found' });
+    }
+
+    industry.moderation = {
+      status: 'approved',
+      submittedAt: industry.moderation && industry.moderation.submittedAt,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date()
+    };
+    await industry.save();
+
+    if (industry.owner) {
+      await notifyOwner(
+        industry,
+        `Your listing "${industry.name}" has been approved`,
+        `Hello ${industry.owner.username},\n\nYour industry listing "${industry.name}" is now visible in the directory.`
+      );
+    }
+
+    res.json(industry);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Industry not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/industries/:id/reject
+// @desc    Reject a listing with a reason; the owner can edit and resubmit it
+// @access  Private (industries:moderate)
+router.put(
+  '/:id/reject',
+  [
+    auth,
+    requirePermission('industries:moderate'),
+    check('reason', 'A reason is required').trim().not().isEmpty(),
+    check('reason', 'Reason can not be more than 500 characters').isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const industry = await Industry.findById(req.params.id).populate('owner', 'username email');
 
-      industry = await Industry.findByIdAndUpdate(req.params.id, { $set: updates }, { new: true });
+      if (!industry) {
+        return res.status(404).json({ msg: 'Industry not found' });
+      }
+
+      industry.moderation = {
+        status: 'rejected',
+        reason: req.body.reason,
+        submittedAt: industry.moderation && industry.moderation.submittedAt,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date()
+      };
+      await industry.save();
+
+      if (industry.owner) {
+        await notifyOwner(
+          industry,
+          `Your listing "${industry.name}" needs changes`,
+          `Hello ${industry.owner.username},\n\nYour industry listing "${industry.name}" was not approved:\n\n${req.body.reason}\n\nYou can edit the listing to submit it for review again.`
+        );
+      }
 
       res.json(industry);
     } catch (err) {
@@ -181,7 +549,7 @@ router.put(
 
 // @route   DELETE api/industries/:id
 // @desc    Delete an industry
-// @access  Private
+// @access  Private (owner or industries:moderate)
 router.delete('/:id', auth, async (req, res) => {
   try {
     const industry = await Industry.findById(req.params.id);
@@ -190,12 +558,12 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Industry not found' });
     }
 
-    // Make sure user owns industry or is an admin
-    if (industry.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
+    // Make sure user owns industry or moderates industries
+    if (!canManageIndustry(req.user, industry)) {
+      return res.status(403).json({ msg: 'Not authorized' });
     }
 
-    await industry.remove();
+    await removeIndustries({ _id: industry._id });
 
     res.json({ msg: 'Industry removed' });
   } catch (err) {
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const {
+  flagForReview,
+  loadManagedIndustry,
+  handleIndustryError
+} = require('../utils/industryAccess');
+const { destroyMedia } = require('../utils/media');
+const { maxIndustryImages } = require('../config/industries');
+const upload = require('../middleware/upload');
+const { storeImages } = require('../utils/images');
+
+// @route   POST api/industries/:id/images
+// @desc    Add images (multipart field "images") after the existing ones
+// @access  Private (owner or industries:moderate)
+router.post('/', [auth, upload.images('images', maxIndustryImages)], async (req, res) => {
+  try {
+    const industry = await loadManagedIndustry(req, res);
+    if (!industry) return;
+
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({ msg: 'Please upload at least one image' });
+    }
+
+    if (industry.images.length + req.files.length > maxIndustryImages) {
+      return res.status(400).json({ msg: `An industry can have at most ${maxIndustryImages} images` });
+    }
+
+    const images = await storeImages(req.files, { folder: 'industries' });
+    industry.images.push(...images);
+    flagForReview(req.user, industry);
+
+    try {
+      await industry.save();
+    } catch (err) {
+      // Don't leave orphaned uploads behind
+      await destroyMedia(images);
+      throw err;
+    }
+
+    res.status(201).json(industry.images);
+  } catch (err) {
+    handleIndustryError(err, res);
+  }
+});
+
+// @route   PUT api/industries/:id/images/order
+// @desc    Reorder images; body { imageIds: [...] } must list every image once.
+//          The first image is the cover.
+// @access  Private (owner or industries:moderate)
+router.put(
+  '/order',
+  [auth, check('imageIds', 'imageIds must be an array of image ids').isArray(), check('imageIds.*').isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const industry = await loadManagedIndustry(req, res);
+      if (!industry) return;
+
+      const { imageIds } = req.body;
+      const current = industry.images.map((image) => image.id);
+
+      if (imageIds.length !== current.length || new Set(imageIds).size !== current.length ||
+          !imageIds.every((imageId) => current.includes(imageId))) {
+        return res.status(400).json({ msg: 'imageIds must list every image of the industry exactly once' });
+      }
+
+      industry.images = imageIds.map((imageId) => industry.images.id(imageId));
+      await industry.save();
+
+      res.json(industry.images);
+    } catch (err) {
+      handleIndustryError(err, res);
+    }
+  }
+);
+
+// @route   PUT api/industries/:id/images/:imageId/cover
+// @desc    Make an image the cover by moving it to the front
+// @access  Private (owner or industries:moderate)
+router.put('/:imageId/cover', auth, async (req, res) => {
+  try {
+    const industry = await loadManagedIndustry(req, res);
+    if (!industry) return;
+
+    const image = industry.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({ msg: 'Image not found' });
+    }
+
+    industry.images = [image, ...industry.images.filter((other) => other.id !== image.id)];
+    await industry.save();
+
+    res.json(industry.images);
+  } catch (err) {
+    handleIndustryError(err, res);
+  }
+});
+
+// @route   DELETE api/industries/:id/images/:imageId
+// @desc    Remove an image and delete the stored file
+// @access  Private (owner or industries:moderate)
+router.delete('/:imageId', auth, async (req, res) => {
+  try {
+    const industry = await loadManagedIndustry(req, res);
+    if (!industry) return;
+
+    const image = industry.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({ msg: 'Image not found' });
+    }
+
+    image.remove();
+    await industry.save();
+    await destroyMedia([image]);
+
+    res.json(industry.images);
+  } catch (err) {
+    handleIndustryError(err, res);
+  }
+});
+
+module.exports = router;
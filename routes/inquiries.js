@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Inquiry = require('../models/Inquiry');
+const Industry = require('../models/Industry');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { isApproved } = require('../utils/industryAccess');
+const { isInquiryThrottled } = require('../utils/inquiryThrottle');
+const { sendMail } = require('../utils/mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mail failures are logged; the inquiry or reply is already stored
+const notify = async (message) => {
+  try {
+    await sendMail(message);
+  } catch (err) {
+    console.error(err.message);
+  }
+};
+
+// Load an inquiry for the owner of its industry. Sends the 404 and returns
+// null otherwise; inquiries are private to the owner, moderators included.
+const loadOwnInquiry = async (req, res) => {
+  const inquiry = await Inquiry.findById(req.params.id).populate('industry', 'name owner');
+
+  if (!inquiry || !inquiry.industry || !inquiry.industry.owner || !inquiry.industry.owner.equals(req.user.id)) {
+    res.status(404).json({ msg: 'Inquiry not found' });
+    return null;
+  }
+
+  return inquiry;
+};
+
+// @route   POST api/inquiries
+// @desc    Send an inquiry to an approved industry, optionally about one of its
+//          products. `website` is a honeypot field that people leave empty.
+// @access  Public
+router.post(
+  '/',
+  [
+    check('industry', 'A valid industry is required').isMongoId(),
+    check('product', 'product must be a valid id').optional({ checkFalsy: true }).isMongoId(),
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('name', 'Name can not be more than 100 characters').isLength({ max: 100 }),
+    check('email', 'Please include a valid email').trim().isEmail(),
+    check('phone', 'Phone number can not be longer than 20 characters').optional().trim().isLength({ max: 20 }),
+    check('company', 'Company can not be more than 100 characters').optional().trim().isLength({ max: 100 }),
+    check('message', 'Message must be between 10 and 2000 characters').trim().isLength({ min: 10, max: 2000 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Bots fill in every field; answer as if the inquiry was sent
+    if (req.body.website) {
+      return res.status(201).json({ msg: 'Inquiry sent' });
+    }
+
+    const { name, email, phone, company, message } = req.body;
+
+    try {
+      if (await isInquiryThrottled({ ip: req.ip, email })) {
+        return res.status(429).json({ msg: 'Too many inquiries. Please try again later.' });
+      }
+
+      const industry = await Industry.findById(req.body.industry).populate('owner', 'username email');
+
+      if (!industry || !isApproved(industry)) {
+        return res.status(404).json({ msg: 'Industry not found' });
+      }
+
+      const product = req.body.product ? industry.products.id(req.body.product) : null;
+      if (req.body.product && !product) {
+        return res.status(404).json({ msg: 'Product not found' });
+      }
+
+      await Inquiry.create({
+        industry: industry._id,
+        product: product ? product._id : undefined,
+        productName: product ? product.name : undefined,
+        name,
+        email,
+        phone,
+        company,
+        message,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      if (industry.owner) {
+        await notify({
+          to: industry.owner.email,
+          subject: `New inquiry for ${industry.name}`,
+          text: `Hello ${industry.owner.username},\n\n${name}${company ? ` (${company})` : ''} sent an inquiry`
+            + (product ? ` about ${product.name}` : '')
+            + `:\n\n${message}\n\nReply from your inquiry inbox.`
+        });
+      }
+
+      res.status(201).json({ msg: 'Inquiry sent' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route   GET api/inquiries/stats
+// @desc    Inquiry volume per industry over the last ?days= (default 30)
+// @access  Private (inquiries:stats)
+router.get(
+  '/stats',
+  [
+    auth,
+    requirePermission('inquiries:stats'),
+    check('days', 'days must be between 1 and 365').optional().isInt({ min: 1, max: 365 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const since = new Date(Date.now() - (req.query.days || 30) * DAY_MS);
+
+    try {
+      const industries = await Inquiry.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: '$industry',
+            total: { $sum: 1 },
+            unread: { $sum: { $cond: [{ $eq: ['$status', 'new'] }, 1, 0] } },
+            replied: { $sum: { $cond: [{ $eq: ['$status', 'replied'] }, 1, 0] } },
+            lastInquiryAt: { $max: '$createdAt' }
+          }
+        },
+        { $sort: { total: -1 } },
+        { $lookup: { from: 'industries', localField: '_id', foreignField: '_id', as: 'industry' } },
+        {
+          $project: {
+            _id: 0,
+            industry: { _id: '$_id', name: { $arrayElemAt: ['$industry.name', 0] } },
+            total: 1,
+            unread: 1,
+            replied: 1,
+            lastInquiryAt: 1
+          }
+        }
+      ]);
+
+      res.json({
+        since,
+        total: industries.reduce((sum, row) => sum + row.total, 0),
+        industries
+      });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route   GET api/inquiries
+// @desc    Inbox: inquiries to the current user's industries, newest first
+//          (?industry=, ?status=new|read|replied, ?page=, ?limit=)
+// @access  Private
+router.get(
+  '/',
+  [
+    auth,
+    check('industry', 'industry must be a valid id').optional().isMongoId(),
+    check('status', 'Status must be new, read or replied').optional().isIn(['new', 'read', 'replied']),
+    check('page', 'page must be a positive number').optional().isInt({ min: 1 }).toInt(),
+    check('limit', 'limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    try {
+      const owned = await Industry.find({ owner: req.user.id }).distinct('_id');
+      const industryIds = req.query.industry
+        ? owned.filter((id) => id.equals(req.query.industry))
+        : owned;
+
+      const filter = { industry: { $in: industryIds } };
+      if (req.query.status) filter.status = req.query.status;
+
+      const [inquiries, total, unread] = await Promise.all([
+        Inquiry.find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select('-replies')
+          .populate('industry', 'name'),
+        Inquiry.countDocuments(filter),
+        Inquiry.countDocuments({ industry: { $in: industryIds }, status: 'new' })
+      ]);
+
+      res.json({ inquiries, total, unread, page, limit, pages: Math.ceil(total / limit) });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route   GET api/inquiries/:id
+// @desc    Get an inquiry with its reply thread and mark it as read
+// @access  Private (industry owner)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const inquiry = await loadOwnInquiry(req, res);
+    if (!inquiry) return;
+
+    if (inquiry.status === 'new') {
+      inquiry.status = 'read';
+      inquiry.readAt = new Date();
+      await inquiry.save();
+    }
+
+    await inquiry.populate('replies.author', 'username');
+    res.json(inquiry);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Inquiry not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/inquiries/:id/status
+// @desc    Mark an inquiry as new (unread) or read
+// @access  Private (industry owner)
+router.put(
+  '/:id/status',
+  [auth, check('status', 'Status must be new or read').isIn(['new', 'read'])],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const inquiry = await loadOwnInquiry(req, res);
+      if (!inquiry) return;
+
+      // A replied inquiry stays replied
+      if (inquiry.status !== 'replied') {
+        inquiry.status = req.body.status;
+        inquiry.readAt = req.body.status === 'read' ? inquiry.readAt || new Date() : undefined;
+        await inquiry.save();
+      }
+
+      res.json(inquiry);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: 'Inquiry not found' });
+      }
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route   POST api/inquiries/:id/replies
+// @desc    Reply to an inquiry. The reply is added to the thread and emailed
+//          to the sender.
+// @access  Private (industry owner)
+router.post(
+  '/:id/replies',
+  [auth, check('message', 'Message must be between 1 and 2000 characters').trim().isLength({ min: 1, max: 2000 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const inquiry = await loadOwnInquiry(req, res);
+      if (!inquiry) return;
+
+      const now = new Date();
+      inquiry.replies.push({ author: req.user.id, message: req.body.message, createdAt: now });
+      inquiry.status = 'replied';
+      inquiry.readAt = inquiry.readAt || now;
+      inquiry.repliedAt = now;
+      await inquiry.save();
+
+      await notify({
+        to: inquiry.email,
+        subject: `Re: your inquiry to ${inquiry.industry.name}`,
+        text: `Hello ${inquiry.name},\n\n${inquiry.industry.name} replied to your inquiry`
+          + (inquiry.productName ? ` about ${inquiry.productName}` : '')
+          + `:\n\n${req.body.message}\n\n---\nYour message:\n${inquiry.message}`
+      });
+
+      await inquiry.populate('replies.author', 'username');
+      res.status(201).json(inquiry);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: 'Inquiry not found' });
+      }
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+module.exports = router;
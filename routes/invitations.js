@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { registrationRules, passwordRule } = require('../utils/validators');
+const { hashToken, createSession } = require('../utils/tokens');
+const { createInvitation, createPendingMember, sendInvitationEmail } = require('../utils/invitations');
+
+// Filters for GET /?status=
+const STATUS_FILTERS = {
+  pending: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }),
+  expired: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } }),
+  accepted: () => ({ acceptedAt: { $ne: null } }),
+  revoked: () => ({ revokedAt: { $ne: null } })
+};
+
+// Email the invitation, reporting failure instead of throwing: the
+// invitation exists either way and the admin can resend it.
+const trySendInvitation = async (user, url) => {
+  try {
+    await sendInvitationEmail(user, url);
+    return true;
+  } catch (err) {
+    console.error(err.message);
+    return false;
+  }
+};
+
+// @route   POST api/auth/invitations
+// @desc    Invite a new member; they choose their own password when accepting
+// @access  Private (users:write)
+router.post(
+  '/',
+  [
+    auth,
+    requirePermission('users:write'),
+    ...registrationRules,
+    check('expiryDate', 'Expiry date must be a valid date').optional().isISO8601().toDate().bail()
+      .custom((value) => value > new Date()).withMessage('Expiry must be in the future'),
+    check('company', 'Company cannot exceed 100 characters').optional().isLength({ max: 100 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, company, expiryDate } = req.body;
+
+    try {
+      const existing = await User.findOne({ $or: [{ email }, { username }] });
+
+      if (existing) {
+        return res.status(400).json({ msg: 'User already exists' });
+      }
+
+      const { user, invitation, url } = await createPendingMember(
+        { username, email, company, expiryDate },
+        req.user.id
+      );
+      const emailed = await trySendInvitation(user, url);
+
+      res.status(201).json({ msg: 'Invitation created', invitation, invitationUrl: url, emailed });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   GET api/auth/invitations
+// @desc    List invitations, pending ones by default (?status=pending|expired|accepted|revoked|all)
+// @access  Private (users:read)
+router.get(
+  '/',
+  [
+    auth,
+    requirePermission('users:read'),
+    check('status', 'Invalid status').optional().isIn([...Object.keys(STATUS_FILTERS), 'all'])
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const status = req.query.status || 'pending';
+
+    try {
+      const invitations = await Invitation.find(status === 'all' ? {} : STATUS_FILTERS[status]())
+        .sort({ createdAt: -1 })
+        .populate('user', 'username email company status')
+        .populate('invitedBy', 'username');
+
+      res.json(invitations);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/invitations/:id/resend
+// @desc    Replace an invitation with a fresh link and email it again
+// @access  Private (users:write)
+router.post('/:id/resend', [auth, requirePermission('users:write')], async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ msg: 'Invitation not found' });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ msg: 'Invitation has already been accepted' });
+    }
+
+    const user = await User.findById(invitation.user);
+
+    if (!user || user.status !== 'pending') {
+      return res.status(400).json({ msg: 'The invited account is no longer pending' });
+    }
+
+    // The old link stops working as soon as a new one is issued
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+    }
+
+    const { invitation: newInvitation, url } = await createInvitation(user, req.user.id);
+    const emailed = await trySendInvitation(user, url);
+
+    res.json({ msg: 'Invitation resent', invitation: newInvitation, invitationUrl: url, emailed });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Invitation not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/auth/invitations/:id
+// @desc    Revoke an invitation and remove the account that was never activated
+// @access  Private (users:write)
+router.delete('/:id', [auth, requirePermission('users:write')], async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ msg: 'Invitation not found' });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ msg: 'Invitation has already been accepted' });
+    }
+
+    await Invitation.updateMany({ user: invitation.user, revokedAt: null }, { revokedAt: new Date() });
+    await User.deleteOne({ _id: invitation.user, status: 'pending' });
+
+    res.json({ msg: 'Invitation revoked' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Invitation not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/invitations/:token/accept
+// @desc    Accept an invitation: set a password and activate the account
+// @access  Public
+router.post('/:token/accept', [passwordRule], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(req.params.token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!invitation) {
+      return res.status(400).json({ msg: 'Invalid or expired invitation' });
+    }
+
+    const user = await User.findById(invitation.user);
+
+    if (!user || user.status !== 'pending') {
+      return res.status(400).json({ msg: 'Invalid or expired invitation' });
+    }
+
+    user.password = req.body.password;
+    user.status = 'active';
+    await user.save();
+
+    // Marking it accepted makes the link single-use
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ msg: 'Account activated', token, refreshToken, role: user.role });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,388 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const JobPosting = require('../models/JobPosting');
+const JobApplication = require('../models/JobApplication');
+const Industry = require('../models/Industry');
+const auth = require('../middleware/auth');
+const {
+  PUBLIC_INDUSTRY_FILTER,
+  canManageIndustry,
+  canViewIndustry,
+  isApproved
+} = require('../utils/industryAccess');
+const { syncIndustryVacancy, destroyResumes, removeJobPostings } = require('../utils/jobBoard');
+const { sendMail } = require('../utils/mailer');
+const { escapeRegex } = require('../utils/text');
+const { employmentTypes } = require('../config/industries');
+const upload = require('../middleware/upload');
+const { storeFiles } = require('../utils/storage');
+
+const postingRules = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('title', 'Title is required').trim().not().isEmpty(),
+    field('description', 'Description is required').not().isEmpty(),
+    field('location', 'Location is required').trim().not().isEmpty(),
+    check('positions', 'Positions must be a positive number').optional().isInt({ min: 1 }).toInt(),
+    check('qualifications', 'Qualifications must be a list').optional().isArray(),
+    check('employmentType', `Employment type must be one of: ${employmentTypes.join(', ')}`)
+      .optional()
+      .isIn(employmentTypes),
+    check('salary.min', 'Minimum salary must be a non-negative number').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    check('salary.max', 'Maximum salary must be a non-negative number').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    check('salary.period', 'Salary period must be hour, month or year').optional().isIn(['hour', 'month', 'year']),
+    check('closingDate', 'Closing date must be a valid date').optional({ nullable: true }).isISO8601().toDate(),
+    check('status', 'Status must be open or closed').optional().isIn(['open', 'closed'])
+  ];
+};
+
+const POSTING_FIELDS = ['title', 'description', 'positions', 'qualifications', 'employmentType', 'location', 'salary', 'closingDate', 'status'];
+
+// Load a posting for a write and check the caller manages its industry.
+// Sends the error response and returns null otherwise.
+const loadManagedPosting = async (req, res) => {
+  const posting = await JobPosting.findById(req.params.id).populate('industry', 'name owner');
+
+  if (!posting) {
+    res.status(404).json({ msg: 'Job posting not found' });
+    return null;
+  }
+
+  if (!posting.industry || !canManageIndustry(req.user, posting.industry)) {
+    res.status(403).json({ msg: 'Not authorized' });
+    return null;
+  }
+
+  return posting;
+};
+
+const handleError = (err, res) => {
+  console.error(err.message);
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ msg: 'Job posting not found' });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ msg: err.message });
+  }
+  res.status(500).send('Server Error');
+};
+
+// @route   GET api/jobs
+// @desc    List open job postings with search (?q=), filters (?industry=, ?location=,
+//          ?employmentType=, ?minSalary=) and ?page=/?limit=
+// @access  Public
+router.get(
+  '/',
+  [
+    check('q').optional().isString().trim(),
+    check('industry', 'industry must be a valid id').optional().isMongoId(),
+    check('location').optional().isString().trim(),
+    check('employmentType', 'Invalid employment type').optional().isIn(employmentTypes),
+    check('minSalary', 'minSalary must be a non-negative number').optional().isFloat({ min: 0 }).toFloat(),
+    check('page', 'page must be a positive number').optional().isInt({ min: 1 }).toInt(),
+    check('limit', 'limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, industry, location, employmentType, minSalary } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const filter = JobPosting.openFilter();
+    if (q) filter.$text = { $search: q };
+    if (location) filter.location = new RegExp(escapeRegex(location), 'i');
+    if (employmentType) filter.employmentType = employmentType;
+    // Postings without a stated salary stay in the results
+    if (minSalary !== undefined) {
+      filter.$and = [{ $or: [{ 'salary.max': null }, { 'salary.max': { $gte: minSalary } }] }];
+    }
+
+    try {
+      // Postings of pending or rejected listings are hidden with the listing
+      const approved = await Industry.find({
+        ...PUBLIC_INDUSTRY_FILTER,
+        ...(industry ? { _id: industry } : {})
+      }).distinct('_id');
+      filter.industry = { $in: approved };
+
+      const [jobs, total] = await Promise.all([
+        JobPosting.find(filter, q ? { score: { $meta: 'textScore' } } : {})
+          .sort(q ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('industry', 'name'),
+        JobPosting.countDocuments(filter)
+      ]);
+
+      res.json({ jobs, total, page, limit, pages: Math.ceil(total / limit) });
+    } catch (err) {
+      handleError(err, res);
+    }
+  }
+);
+
+// @route   GET api/jobs/applications/me
+// @desc    Get the current user's job applications
+// @access  Private
+router.get('/applications/me', auth, async (req, res) => {
+  try {
+    const applications = await JobApplication.find({ applicant: req.user.id })
+      .select('-resume.publicId')
+      .sort({ createdAt: -1 })
+      .populate({ path: 'posting', select: 'title location status closingDate industry', populate: { path: 'industry', select: 'name' } });
+
+    res.json(applications);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET api/jobs/:id
+// @desc    Get a job posting. Postings of pending or rejected listings are only
+//          shown to the industry owner and moderators.
+// @access  Public
+router.get('/:id', auth.optional, async (req, res) => {
+  try {
+    const posting = await JobPosting.findById(req.params.id)
+      .populate('industry', 'name contactNumber owner moderation');
+
+    if (!posting || !posting.industry || !canViewIndustry(req.user, posting.industry)) {
+      return res.status(404).json({ msg: 'Job posting not found' });
+    }
+
+    res.json(posting);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST api/jobs
+// @desc    Create a job posting for an industry
+// @access  Private (industry owner or industries:moderate)
+router.post(
+  '/',
+  [auth, check('industry', 'A valid industry is required').isMongoId(), ...postingRules(false)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const industry = await Industry.findById(req.body.industry);
+
+      if (!industry) {
+        return res.status(404).json({ msg: 'Industry not found' });
+      }
+
+      if (!canManageIndustry(req.user, industry)) {
+        return res.status(403).json({ msg: 'Not authorized' });
+      }
+
+      if (!isApproved(industry)) {
+        return res.status(400).json({ msg: 'Jobs can only be posted once the industry listing has been approved' });
+      }
+
+      const posting = new JobPosting({ industry: industry._id, postedBy: req.user.id });
+      POSTING_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) posting[field] = req.body[field];
+      });
+      await posting.save();
+      await syncIndustryVacancy(industry._id);
+
+      res.status(201).json(posting);
+    } catch (err) {
+      handleError(err, res);
+    }
+  }
+);
+
+// @route   PUT api/jobs/:id
+// @desc    Update a job posting; set status to "closed" to stop applications
+// @access  Private (industry owner or industries:moderate)
+router.put('/:id', [auth, ...postingRules(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const posting = await loadManagedPosting(req, res);
+    if (!posting) return;
+
+    POSTING_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) posting[field] = req.body[field];
+    });
+    await posting.save();
+    await syncIndustryVacancy(posting.industry._id);
+
+    res.json(posting);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   DELETE api/jobs/:id
+// @desc    Delete a job posting and its applications
+// @access  Private (industry owner or industries:moderate)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const posting = await loadManagedPosting(req, res);
+    if (!posting) return;
+
+    await removeJobPostings({ _id: posting._id });
+    await syncIndustryVacancy(posting.industry._id);
+
+    res.json({ msg: 'Job posting removed' });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST api/jobs/:id/apply
+// @desc    Apply to a job posting with a resume (multipart field "resume", PDF or Word)
+// @access  Private
+router.post(
+  '/:id/apply',
+  [auth, upload.document('resume'), check('coverLetter', 'Cover letter can not be more than 2000 characters').optional().isLength({ max: 2000 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ msg: 'Please upload a resume' });
+    }
+
+    let resume;
+    try {
+      const posting = await JobPosting.findById(req.params.id).populate('industry', 'moderation');
+
+      if (!posting || !posting.industry || !isApproved(posting.industry)) {
+        return res.status(404).json({ msg: 'Job posting not found' });
+      }
+
+      if (!posting.acceptingApplications) {
+        return res.status(400).json({ msg: 'This job posting is no longer accepting applications' });
+      }
+
+      if (await JobApplication.exists({ posting: posting._id, applicant: req.user.id })) {
+        return res.status(400).json({ msg: 'You have already applied for this job' });
+      }
+
+      [resume] = await storeFiles([req.file], { folder: 'resumes', resourceType: 'raw' });
+
+      const application = await JobApplication.create({
+        posting: posting._id,
+        applicant: req.user.id,
+        coverLetter: req.body.coverLetter,
+        resume: { ...resume, fileName: req.file.originalname }
+      });
+
+      res.status(201).json(application);
+    } catch (err) {
+      if (resume) {
+        await destroyResumes([{ resume }]);
+      }
+      if (err.code === 11000) {
+        return res.status(400).json({ msg: 'You have already applied for this job' });
+      }
+      handleError(err, res);
+    }
+  }
+);
+
+// @route   GET api/jobs/:id/applications
+// @desc    List applications for a posting (?status=submitted|shortlisted|rejected)
+// @access  Private (industry owner or industries:moderate)
+router.get(
+  '/:id/applications',
+  [auth, check('status', 'Invalid status').optional().isIn(['submitted', 'shortlisted', 'rejected'])],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const posting = await loadManagedPosting(req, res);
+      if (!posting) return;
+
+      const filter = { posting: posting._id };
+      if (req.query.status) filter.status = req.query.status;
+
+      const applications = await JobApplication.find(filter)
+        .sort({ createdAt: 1 })
+        .populate('applicant', 'username email company')
+        .populate('reviewedBy', 'username');
+
+      res.json(applications);
+    } catch (err) {
+      handleError(err, res);
+    }
+  }
+);
+
+// @route   PUT api/jobs/:id/applications/:applicationId
+// @desc    Shortlist or reject an application; the applicant is notified by email
+// @access  Private (industry owner or industries:moderate)
+router.put(
+  '/:id/applications/:applicationId',
+  [
+    auth,
+    check('status', 'Status must be submitted, shortlisted or rejected').isIn(['submitted', 'shortlisted', 'rejected']),
+    check('note', 'Note can not be more than 500 characters').optional().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const posting = await loadManagedPosting(req, res);
+      if (!posting) return;
+
+      const application = await JobApplication.findOne({ _id: req.params.applicationId, posting: posting._id })
+        .populate('applicant', 'username email');
+
+      if (!application) {
+        return res.status(404).json({ msg: 'Application not found' });
+      }
+
+      const changed = application.status !== req.body.status;
+      application.status = req.body.status;
+      application.reviewNote = req.body.note;
+      application.reviewedBy = req.user.id;
+      application.reviewedAt = new Date();
+      await application.save();
+
+      if (changed && req.body.status !== 'submitted' && application.applicant) {
+        const outcome = req.body.status === 'shortlisted' ? 'has been shortlisted' : 'was not successful';
+        try {
+          await sendMail({
+            to: application.applicant.email,
+            subject: `Your application for ${posting.title}`,
+            text: `Hello ${application.applicant.username},\n\nYour application for "${posting.title}" at ${posting.industry.name} ${outcome}.`
+              + (req.body.note ? `\n\n${req.body.note}` : '')
+          });
+        } catch (err) {
+          console.error(err.message);
+        }
+      }
+
+      res.json(application);
+    } catch (err) {
+      handleError(err, res);
+    }
+  }
+);
+
+module.exports = router;
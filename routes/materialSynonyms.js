@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const MaterialSynonym = require('../models/MaterialSynonym');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+const synonymRules = [
+  check('term', 'Term is required').trim().not().isEmpty(),
+  check('term', 'Term cannot exceed 100 characters').isLength({ max: 100 }),
+  check('synonyms', 'At least one synonym is required').isArray({ min: 1 }),
+  check('synonyms.*', 'Synonyms must be text of at most 100 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+];
+
+// Lowercased, de-duplicated names of a group, without the term itself
+const cleanSynonyms = (term, synonyms) =>
+  [...new Set(synonyms.map((synonym) => synonym.toLowerCase()))].filter(
+    (synonym) => synonym !== term
+  );
+
+// A name may only belong to one group, otherwise matching would be ambiguous
+const findConflict = (names, exceptId) =>
+  MaterialSynonym.findOne({
+    _id: { $ne: exceptId },
+    $or: [{ term: { $in: names } }, { synonyms: { $in: names } }]
+  });
+
+// @route   GET api/material-synonyms
+// @desc    Get all synonym groups used by supplier matchmaking
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const groups = await MaterialSynonym.find().sort({ term: 1 });
+    res.json(groups);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/material-synonyms
+// @desc    Create a synonym group
+// @access  Private (synonyms:manage)
+router.post('/', [auth, requirePermission('synonyms:manage'), synonymRules], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const term = req.body.term.toLowerCase();
+    const synonyms = cleanSynonyms(term, req.body.synonyms);
+
+    const conflict = await findConflict([term, ...synonyms]);
+    if (conflict) {
+      return res.status(400).json({ msg: `One of these names already belongs to "${conflict.term}"` });
+    }
+
+    const group = await MaterialSynonym.create({ term, synonyms, updatedBy: req.user.id });
+    res.status(201).json(group);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A synonym group for this term already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/material-synonyms/:id
+// @desc    Replace the term and synonyms of a group
+// @access  Private (synonyms:manage)
+router.put('/:id', [auth, requirePermission('synonyms:manage'), synonymRules], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const group = await MaterialSynonym.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ msg: 'Synonym group not found' });
+    }
+
+    const term = req.body.term.toLowerCase();
+    const synonyms = cleanSynonyms(term, req.body.synonyms);
+
+    const conflict = await findConflict([term, ...synonyms], group._id);
+    if (conflict) {
+      return res.status(400).json({ msg: `One of these names already belongs to "${conflict.term}"` });
+    }
+
+    group.set({ term, synonyms, updatedBy: req.user.id, updatedAt: Date.now() });
+    await group.save();
+
+    res.json(group);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Synonym group not found' });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A synonym group for this term already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/material-synonyms/:id
+// @desc    Delete a synonym group
+// @access  Private (synonyms:manage)
+router.delete('/:id', [auth, requirePermission('synonyms:manage')], async (req, res) => {
+  try {
+    const group = await MaterialSynonym.findByIdAndDelete(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({ msg: 'Synonym group not found' });
+    }
+
+    res.json({ msg: 'Synonym group removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Synonym group not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,12 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const Poll = require('../models/Poll');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
-// @route   GET api/polls
-// @desc    Get all polls
-// @access  Public
-router.get('/admin',auth, async (req, res) => {
+// @route   GET api/polls/admin
+// @desc    Get all polls, including expired ones
+// @access  Private (polls:read)
+router.get('/admin', [auth, requirePermission('polls:read')], async (req, res) => {
   try {
     const polls = await Poll.find().sort({ createdAt: -1 }).populate('createdBy', 'username');
     res.status(200).json(polls);
@@ -38,11 +39,12 @@ router.get('/', auth, async (req, res) => {
 
 // @route   POST api/polls
 // @desc    Create a new poll
-// @access  Private (Admin only)
+// @access  Private (polls:write)
 router.post(
   '/',
   [
     auth,
+    requirePermission('polls:write'),
     [
       check('question', 'Question is required').not().isEmpty(),
       check('options', 'At least two options are required').isArray({ min: 2 }),
@@ -56,10 +58,6 @@ router.post(
     }
 
     try {
-      if (req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
-      }
-
       const { question, options, expiresAt } = req.body;
 
       const newPoll = new Poll({
@@ -122,13 +120,9 @@ router.put('/vote/:id', auth, async (req, res) => {
 
 // @route   DELETE api/polls/:id
 // @desc    Delete a poll
-// @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (polls:write)
+router.delete('/:id', [auth, requirePermission('polls:write')], async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const poll = await Poll.findById(req.params.id);
 
     if (!poll) {
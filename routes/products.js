@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { check, validationResult } = require('express-validator');
+const Industry = require('../models/Industry');
+const auth = require('../middleware/auth');
+const {
+  canViewIndustry,
+  loadManagedIndustry,
+  handleIndustryError
+} = require('../utils/industryAccess');
+const { productUnits, maxProductImages } = require('../config/industries');
+const { destroyMedia } = require('../utils/media');
+const upload = require('../middleware/upload');
+const { storeImages } = require('../utils/images');
+
+const productRules = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('name', 'Name is required').trim().not().isEmpty(),
+    check('name', 'Name can not be more than 100 characters').optional().isLength({ max: 100 }),
+    check('description', 'Description can not be more than 500 characters').optional().isLength({ max: 500 }),
+    field('price', 'Price must be a non-negative number').isFloat({ min: 0 }).toFloat(),
+    check('unit', `Unit must be one of: ${productUnits.join(', ')}`).optional().isIn(productUnits),
+    check('position', 'Position must be a non-negative integer').optional().isInt({ min: 0 }).toInt()
+  ];
+};
+
+// @route   GET api/industries/:id/products
+// @desc    Get an industry's products in display order
+// @access  Public
+router.get('/', auth.optional, async (req, res) => {
+  try {
+    const industry = await Industry.findById(req.params.id).select('products owner moderation');
+
+    if (!industry || !canViewIndustry(req.user, industry)) {
+      return res.status(404).json({ msg: 'Industry not found' });
+    }
+
+    res.json(industry.products);
+  } catch (err) {
+    handleIndustryError(err, res);
+  }
+});
+
+// @route   PUT api/industries/:id/products/order
+// @desc    Reorder products; body { productIds: [...] } must list every product once
+// @access  Private (owner or industries:moderate)
+router.put(
+  '/order',
+  [auth, check('productIds', 'productIds must be an array of product ids').isArray(), check('productIds.*').isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const industry = await loadManagedIndustry(req, res);
+      if (!industry) return;
+
+      const { productIds } = req.body;
+      const current = industry.products.map((product) => product.id);
+
+      if (productIds.length !== current.length || new Set(productIds).size !== current.length ||
+          !productIds.every((productId) => current.includes(productId))) {
+        return res.status(400).json({ msg: 'productIds must list every product of the industry exactly once' });
+      }
+
+      industry.products = productIds.map((productId) => industry.products.id(productId));
+      await industry.save();
+
+      res.json(industry.products);
+    } catch (err) {
+      handleIndustryError(err, res);
+    }
+  }
+);
+
+// @route   GET api/industries/:id/products/:productId
+// @desc    Get a single product
+// @access  Public
+router.get('/:productId', auth.optional, async (req, res) => {
+  try {
+    const industry = await Industry.findById(req.params.id).select('products owner moderation');
+    const product = industry && canViewIndustry(req.user, industry) && industry.products.id(req.params.productId);
+
+    if (!product) {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (err) {
+    handleIndustryError(err, res);
+  }
+});
+
+// @route   POST api/industries/:id/products
+// @desc    Add a product, with up to 5 images (multipart field "images").
+//          An optional position inserts it at that index instead of at the end.
+// @access  Private (owner or industries:moderate)
+router.post(
+  '/',
+  [auth, upload.images('images', maxProductImages), productRules(false)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const industry = await loadManagedIndustry(req, res);
+      if (!industry) return;
+
+      const { name, description, price, unit, position } = req.body;
+      const images = await storeImages(req.files, { folder: 'products' });
+
+      const product = industry.products.create({ name, description, price, unit, images });
+      const index = position === undefined ? industry.products.length : Math.min(position, industry.products.length);
+      industry.products.splice(index, 0, product);
+
+      try {
+        await industry.save();
+      } catch (err) {
+        // Don't leave orphaned uploads behind
+        await destroyMedia(images);
+        throw err;
+      }
+
+      res.status(201).json(industry.products.id(product._id));
+    } catch (err) {
+      handleIndustryError(err, res);
+    }
+  }
+);
+
+// @route   PUT api/industries/:id/products/:productId
+// @desc    Update a product; uploaded images are added to its existing ones
+// @access  Private (owner or industries:moderate)
+router.put(
+  '/:productId',
+  [auth, upload.images('images', maxProductImages), productRules(true)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const industry = await loadManagedIndustry(req, res);
+      if (!industry) return;
+
+      const product = industry.products.id(req.params.productId);
+
+      if (!product) {
+        return res.status(404).json({ msg: 'Product not found' });
+      }
+
+      if (product.images.length + req.files.length > maxProductImages) {
+        return res.status(400).json({ msg: `A product can have at most ${maxProductImages} images` });
+      }
+
+      ['name', 'description', 'price', 'unit'].forEach((field) => {
+        if (req.body[field] !== undefined) product[field] = req.body[field];
+      });
+      const images = await storeImages(req.files, { folder: 'products' });
+      product.images.push(...images);
+
+      try {
+        await industry.save();
+      } catch (err) {
+        await destroyMedia(images);
+        throw err;
+      }
+
+      res.json(product);
+    } catch (err) {
+      handleIndustryError(err, res);
+    }
+  }
+);
+
+// @route   DELETE api/industries/:id/products/:productId/images/:imageId
+// @desc    Remove one image from a product
+// @access  Private (owner or industries:moderate)
+router.delete('/:productId/images/:imageId', auth, async (req, res) => {
+  try {
+    const industry = await loadManagedIndustry(req, res);
+    if (!industry) return;
+
+    const product = industry.products.id(req.params.productId);
+    const image = product && product.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({ msg: 'Image not found' });
+    }
+
+    image.remove();
+    await industry.save();
+    await destroyMedia([image]);
+
+    res.json(product);
+  } catch (err) {
+    handleIndustryError(err, res);
+  }
+});
+
+// @route   DELETE api/industries/:id/products/:productId
+// @desc    Delete a product and its images
+// @access  Private (owner or industries:moderate)
+router.delete('/:productId', auth, async (req, res) => {
+  try {
+    const industry = await loadManagedIndustry(req, res);
+    if (!industry) return;
+
+    const product = industry.products.id(req.params.productId);
+
+    if (!product) {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+
+    const { images } = product;
+    product.remove();
+    await industry.save();
+    await destroyMedia(images);
+
+    res.json({ msg: 'Product removed' });
+  } catch (err) {
+    handleIndustryError(err, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const { createSession, verifyChallengeToken } = require('../utils/tokens');
+const {
+  TWO_FACTOR_FIELDS,
+  isTwoFactorEnforced,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  clearTwoFactor
+} = require('../utils/twoFactor');
+const {
+  recordLoginEvent,
+  isIpBlocked,
+  lockRemaining,
+  registerFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginThrottle');
+
+// Enrolment is allowed with a normal access token, or with the "2fa-setup"
+// challenge token returned by login when policy requires 2FA for the account
+const authOrSetupChallenge = (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return auth(req, res, next);
+  }
+
+  const userId = verifyChallengeToken(req.body.challengeToken, '2fa-setup');
+  if (!userId) {
+    return res.status(401).json({ msg: 'Challenge token is not valid' });
+  }
+
+  req.user = { id: userId };
+  req.setupChallenge = true;
+  next();
+};
+
+// Either a 6-digit authenticator code or a recovery code must be present
+const secondFactorRules = [
+  check('code').optional().isString(),
+  check('recoveryCode').optional().isString(),
+  check('code', 'An authenticator code or recovery code is required').custom((value, { req }) => {
+    if (!value && !req.body.recoveryCode) {
+      throw new Error('An authenticator code or recovery code is required');
+    }
+    return true;
+  })
+];
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start 2FA enrolment: returns a new secret and its otpauth:// URI
+// @access  Private (or 2fa-setup challenge token)
+router.post('/setup', authOrSetupChallenge, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.set('twoFactor.pendingSecret', secret);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: otpauthUri(secret, user.email, process.env.TOTP_ISSUER || 'Federation')
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/2fa/enable
+// @desc    Confirm enrolment with a code from the authenticator app. Returns
+//          recovery codes (shown only once) and, when enrolling from login,
+//          the session tokens.
+// @access  Private (or 2fa-setup challenge token)
+router.post(
+  '/enable',
+  [authOrSetupChallenge, check('code', 'Authenticator code is required').not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+      if (!user) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+
+      if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+        return res.status(400).json({ msg: 'Start two-factor setup first' });
+      }
+
+      const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ msg: 'Invalid authenticator code' });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactor = {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        recoveryCodes: hashes,
+        lastUsedStep: step,
+        enabledAt: new Date()
+      };
+      await user.save();
+
+      const response = { msg: 'Two-factor authentication enabled', recoveryCodes: codes };
+
+      // Enrolling during login completes that login
+      if (req.setupChallenge) {
+        await clearFailedLogins(user);
+        await recordLoginEvent(req, { user, email: user.email, success: true, reason: 'success' });
+        Object.assign(response, await createSession(user, req), { role: user.role });
+      }
+
+      res.json(response);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/2fa/verify
+// @desc    Second login step: exchange the challenge token and a code for session tokens
+// @access  Public (requires 2fa-login challenge token)
+router.post(
+  '/verify',
+  [check('challengeToken', 'Challenge token is required').not().isEmpty(), ...secondFactorRules],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = verifyChallengeToken(req.body.challengeToken, '2fa-login');
+    if (!userId) {
+      return res.status(401).json({ msg: 'Challenge token is not valid. Please log in again.' });
+    }
+
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+      if (!user || !user.twoFactor.enabled || user.status !== 'active') {
+        return res.status(401).json({ msg: 'Challenge token is not valid. Please log in again.' });
+      }
+
+      // Same per-IP limit as the password step, whichever accounts were targeted
+      if (await isIpBlocked(req.ip)) {
+        await recordLoginEvent(req, { user, email: user.email, success: false, reason: 'ip_blocked' });
+        return res.status(429).json({ msg: 'Too many failed login attempts. Please try again later.' });
+      }
+
+      // Codes are only six digits, so failures count towards the account lockout
+      const lockedFor = lockRemaining(user);
+      if (lockedFor > 0) {
+        await recordLoginEvent(req, { user, email: user.email, success: false, reason: 'account_locked' });
+        return res.status(429).json({
+          msg: `Account is temporarily locked after too many failed attempts. Try again in ${Math.ceil(lockedFor / 60000)} minute(s).`
+        });
+      }
+
+      if (!verifySecondFactor(user, req.body)) {
+        await registerFailedLogin(user);
+        await recordLoginEvent(req, { user, email: user.email, success: false, reason: 'invalid_two_factor' });
+        return res.status(400).json({ msg: 'Invalid two-factor code' });
+      }
+
+      await user.save();
+      await clearFailedLogins(user);
+      await recordLoginEvent(req, { user, email: user.email, success: true, reason: 'success' });
+
+      const { token, refreshToken } = await createSession(user, req);
+      res.json({
+        token,
+        refreshToken,
+        role: user.role,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a current authenticator code)
+// @access  Private
+router.post(
+  '/recovery-codes',
+  [auth, check('code', 'Authenticator code is required').not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+      }
+
+      if (!verifySecondFactor(user, { code: req.body.code })) {
+        return res.status(400).json({ msg: 'Invalid authenticator code' });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactor.recoveryCodes = hashes;
+      await user.save();
+
+      res.json({ recoveryCodes: codes });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a code); not allowed where policy enforces it
+// @access  Private
+router.post(
+  '/disable',
+  [auth, check('password', 'Password is required').not().isEmpty(), ...secondFactorRules],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+      }
+
+      if (isTwoFactorEnforced(user)) {
+        return res.status(403).json({ msg: 'Two-factor authentication is required for admin accounts' });
+      }
+
+      if (!(await user.matchPassword(req.body.password)) || !verifySecondFactor(user, req.body)) {
+        return res.status(400).json({ msg: 'Invalid password or two-factor code' });
+      }
+
+      clearTwoFactor(user);
+      await user.save();
+
+      res.json({ msg: 'Two-factor authentication disabled' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+module.exports = router;
@@ -3,11 +3,10 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const Update = require('../models/Update');
 const auth = require('../middleware/auth');
-const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-
-// Configure multer for file uploads
-const upload = multer({ dest: 'uploads/' });
+const requirePermission = require('../middleware/requirePermission');
+const upload = require('../middleware/upload');
+const { storeImages } = require('../utils/images');
+const { destroyMedia } = require('../utils/media');
 
 // @route   GET api/updates/public
 // @desc    Get all public updates
@@ -27,8 +26,8 @@ router.get('/', async (req, res) => {
 
 // @route   GET api/updates
 // @desc    Get all updates including private ones
-// @access  Private
-router.get('/privateupdates', auth, async (req, res) => {
+// @access  Private (members, or API keys with updates:read)
+router.get('/privateupdates', auth.allowApiKey('updates:read'), async (req, res) => {
   try {
     const updates = await Update.find({ type: { $in: ['notices', 'workshop'] } })
       .sort({ createdAt: -1 })
@@ -43,12 +42,13 @@ router.get('/privateupdates', auth, async (req, res) => {
 
 // @route   POST api/updates
 // @desc    Create a new update
-// @access  Private (Admin only)
+// @access  Private (updates:write)
 router.post(
   '/',
-  upload.single('imageFile'),
   [
     auth,
+    requirePermission('updates:write'),
+    upload.image('imageFile'),
     [
       check('type', 'Type is required').not().isEmpty(),
       check('title', 'Title is required').not().isEmpty(),
@@ -69,27 +69,21 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
+    let image = {};
     try {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ msg: 'Unauthorized: Admin access required' });
-      }
-
       const { type, title, content, redirectUrl } = req.body;
       console.log(req.body);
-      let imageUrl = null;
       if (req.file) {
-        const result = await cloudinary.uploader.upload(req.file.path, {
-          resource_type: 'image',
-          folder: 'updates',
-        });
-        imageUrl = result.secure_url;
+        [image] = await storeImages([req.file], { folder: 'updates' });
       }
-      console.log(imageUrl);
+
       const newUpdate = new Update({
         type,
         title,
         content,
-        imageUrl,
+        imageUrl: image.url || null,
+        imagePublicId: image.publicId,
+        imageVariants: image.variants,
         redirectUrl: type === 'blogs' ? redirectUrl : undefined,
         createdBy: req.user.id,
       });
@@ -98,6 +92,11 @@ router.post(
       res.json(update);
     } catch (err) {
       console.error(err.message);
+      // Don't leave the stored image behind when the update wasn't created
+      await destroyMedia([image]);
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: err.message });
+      }
       res.status(500).send('Server Error');
     }
   }
@@ -106,9 +105,10 @@ router.post(
 
 // @route   PUT api/updates/:id
 // @desc    Update an update
-// @access  Private (Admin only)
+// @access  Private (updates:write)
 router.put('/:id', [
   auth,
+  requirePermission('updates:write'),
   [
     check('type', 'Type is required').not().isEmpty(),
     check('title', 'Title is required').not().isEmpty(),
@@ -132,10 +132,6 @@ router.put('/:id', [
   }
 
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     let update = await Update.findById(req.params.id);
 
     if (!update) {
@@ -147,13 +143,13 @@ router.put('/:id', [
       return res.status(400).json({ msg: 'Redirect URL is required for blog posts' });
     }
 
-    if (req.body.type !== 'blogs') {
-      req.body.redirectUrl = undefined;
-    }
+    // Image fields, including storage ids, are only set by the server
+    const { type, title, content } = req.body;
+    const redirectUrl = type === 'blogs' ? req.body.redirectUrl : undefined;
 
     update = await Update.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: { type, title, content, redirectUrl } },
       { new: true }
     );
 
@@ -169,13 +165,9 @@ router.put('/:id', [
 
 // @route   DELETE api/updates/:id
 // @desc    Delete an update
-// @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (updates:write)
+router.delete('/:id', [auth, requirePermission('updates:write')], async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const update = await Update.findById(req.params.id);
 
     if (!update) {
@@ -183,6 +175,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await update.remove();
+    await destroyMedia([{ publicId: update.imagePublicId, variants: update.imageVariants }]);
 
     res.json({ msg: 'Update removed' });
   } catch (err) {
@@ -3,6 +3,7 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const Workshop = require('../models/Workshop');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
 
 // @route   GET api/workshops
 // @desc    Get all workshops
@@ -19,11 +20,12 @@ router.get('/', async (req, res) => {
 
 // @route   POST api/workshops
 // @desc    Create a new workshop
-// @access  Private (Admin only)
+// @access  Private (workshops:write)
 router.post(
   '/',
   [
     auth,
+    requirePermission('workshops:write'),
     [
       check('title', 'Title is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
@@ -39,10 +41,6 @@ router.post(
     }
 
     try {
-      if (req.user.role !== 'admin') {
-        return res.status(401).json({ msg: 'Not authorized' });
-      }
-
       const { title, description, date, location, capacity } = req.body;
 
       const newWorkshop = new Workshop({
@@ -66,8 +64,8 @@ router.post(
 
 // @route   PUT api/workshops/:id
 // @desc    Update a workshop
-// @access  Private (Admin only)
-router.put('/:id', [auth, [
+// @access  Private (workshops:write)
+router.put('/:id', [auth, requirePermission('workshops:write'), [
   check('title', 'Title is required').not().isEmpty(),
   check('description', 'Description is required').not().isEmpty(),
   check('date', 'Date is required').not().isEmpty(),
@@ -80,10 +78,6 @@ router.put('/:id', [auth, [
   }
 
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     let workshop = await Workshop.findById(req.params.id);
 
     if (!workshop) {
@@ -108,13 +102,9 @@ router.put('/:id', [auth, [
 
 // @route   DELETE api/workshops/:id
 // @desc    Delete a workshop
-// @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (workshops:write)
+router.delete('/:id', [auth, requirePermission('workshops:write')], async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(401).json({ msg: 'Not authorized' });
-    }
-
     const workshop = await Workshop.findById(req.params.id);
 
     if (!workshop) {
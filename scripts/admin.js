@@ -0,0 +1,132 @@
+// Offline administration commands. Run from the project root:
+//
+//   node scripts/admin.js create-admin --username <name> --email <email> [--password <password>]
+//   node scripts/admin.js reset-password --email <email> [--password <password>]
+//   node scripts/admin.js extend-membership --email <email> --months <n> [--fee <amount>] [--reference <payment ref>]
+//
+// When --password is omitted a random one is generated and printed once.
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const { registrationRules, passwordRule } = require('../utils/validators');
+const { revokeUserSessions } = require('../utils/tokens');
+const { renewMembership } = require('../utils/membership');
+
+const USAGE = `Usage:
+  node scripts/admin.js create-admin --username <name> --email <email> [--password <password>]
+  node scripts/admin.js reset-password --email <email> [--password <password>]
+  node scripts/admin.js extend-membership --email <email> --months <n> [--fee <amount>] [--reference <payment ref>]`;
+
+// Parse "--key value" pairs
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return options;
+};
+
+// Apply the same express-validator rules the API uses
+const validate = async (body, rules) => {
+  const req = { body };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new Error(errors.array().map((err) => err.msg).join('\n'));
+  }
+};
+
+const generatePassword = () => crypto.randomBytes(12).toString('base64url');
+
+const findUserByEmail = async (email) => {
+  if (!email) throw new Error('--email is required');
+
+  const user = await User.findOne({ email });
+  if (!user) throw new Error(`No user with email ${email}`);
+
+  return user;
+};
+
+const commands = {
+  'create-admin': async ({ username, email, password }) => {
+    const generated = !password;
+    password = password || generatePassword();
+    await validate({ username, email, password }, [...registrationRules, passwordRule]);
+
+    if (await User.exists({ $or: [{ email }, { username }] })) {
+      throw new Error('A user with this email or username already exists');
+    }
+
+    await User.create({ username, email, password, role: 'admin' });
+
+    console.log(`Admin ${username} <${email}> created.`);
+    if (generated) console.log(`Password: ${password}`);
+  },
+
+  'reset-password': async ({ email, password }) => {
+    const user = await findUserByEmail(email);
+    const generated = !password;
+    password = password || generatePassword();
+    await validate({ password }, [passwordRule]);
+
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    console.log(`Password for ${email} reset; existing sessions were logged out.`);
+    if (generated) console.log(`Password: ${password}`);
+  },
+
+  'extend-membership': async ({ email, months, fee, reference }) => {
+    const user = await findUserByEmail(email);
+    months = Number(months);
+
+    if (!Number.isInteger(months) || months < 1) {
+      throw new Error('--months must be a positive whole number');
+    }
+
+    await renewMembership(user, {
+      months,
+      feeAmount: fee === undefined ? undefined : Number(fee),
+      paymentReference: reference,
+      notes: 'Extended from the command line'
+    });
+
+    console.log(`Membership for ${email} extended by ${months} months, now expires ${user.expiryDate.toDateString()}.`);
+  }
+};
+
+const main = async () => {
+  const [name, ...rest] = process.argv.slice(2);
+  const command = commands[name];
+
+  if (!command) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await command(parseArgs(rest));
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+// Move legacy free-form gstInfo text into the structured gst block. Run from
+// the project root:
+//
+//   node scripts/migrate-gst.js [--dry-run]
+//
+// A valid GSTIN found in gstInfo is kept with the industry name as the legal
+// name (owners can correct it later). Industries without a usable GSTIN, or
+// whose GSTIN is already used by another industry, are listed for follow-up
+// and left unchanged.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Industry = require('../models/Industry');
+const { isValidGstin, parseGstin } = require('../utils/gstin');
+
+const CANDIDATE_PATTERN = /\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]/g;
+
+// First valid GSTIN in the text, ignoring case and whitespace
+const findGstin = (text) =>
+  (String(text || '').toUpperCase().replace(/\s+/g, '').match(CANDIDATE_PATTERN) || []).find(isValidGstin);
+
+const migrate = async (dryRun) => {
+  const industries = await Industry.find({ 'gst.gstin': { $exists: false } }).select('name gstInfo').lean();
+  const seen = new Set((await Industry.distinct('gst.gstin')).filter(Boolean));
+  const skipped = [];
+  let migrated = 0;
+
+  for (const industry of industries) {
+    const gstin = findGstin(industry.gstInfo);
+
+    if (!gstin || seen.has(gstin)) {
+      skipped.push(`${industry._id} ${industry.name}: ${gstin ? `duplicate GSTIN ${gstin}` : 'no valid GSTIN'}`);
+      continue;
+    }
+
+    seen.add(gstin);
+    migrated += 1;
+
+    if (!dryRun) {
+      await Industry.updateOne(
+        { _id: industry._id },
+        {
+          $set: { gst: { ...parseGstin(gstin), legalName: industry.name, registrationType: 'regular' } },
+          $unset: { gstInfo: '' }
+        }
+      );
+    }
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} of ${industries.length} industries.`);
+  if (skipped.length) {
+    console.log(`Needs manual review:\n  ${skipped.join('\n  ')}`);
+  }
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await migrate(process.argv.includes('--dry-run'));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
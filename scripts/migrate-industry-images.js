@@ -0,0 +1,57 @@
+// Convert industry and product images stored as bare URLs into
+// { url, publicId } entries, so they get stable ids and their files can be
+// deleted later. Run from the project root:
+//
+//   node scripts/migrate-industry-images.js [--dry-run]
+//
+// URLs that are not Cloudinary uploads are kept without a publicId.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Industry = require('../models/Industry');
+const { publicIdFromUrl } = require('../utils/media');
+
+const toImage = (image) =>
+  typeof image === 'string'
+    ? { _id: new mongoose.Types.ObjectId(), url: image, publicId: publicIdFromUrl(image) || undefined }
+    : image;
+
+const migrate = async (dryRun) => {
+  // Read the raw documents; loading them through the model would convert them in memory only
+  const industries = await Industry.collection
+    .find({ $or: [{ images: { $type: 'string' } }, { 'products.images': { $type: 'string' } }] })
+    .project({ images: 1, products: 1 })
+    .toArray();
+
+  if (!dryRun) {
+    for (const industry of industries) {
+      await Industry.collection.updateOne(
+        { _id: industry._id },
+        {
+          $set: {
+            images: (industry.images || []).map(toImage),
+            products: (industry.products || []).map((product) => ({
+              ...product,
+              images: (product.images || []).map(toImage)
+            }))
+          }
+        }
+      );
+    }
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} images of ${industries.length} industries.`);
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await migrate(process.argv.includes('--dry-run'));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -7,16 +7,19 @@ const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const { createLogger, transports, format } = require('winston');
-const cloudinary = require('cloudinary').v2;
+const storage = require('./utils/storage');
+const { checkMailConfig } = require('./utils/mailer');
 
 const app = express();
 
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Behind a reverse proxy req.ip must come from X-Forwarded-For, otherwise the
+// per-IP throttles (logins, inquiries) see every client as the proxy.
+// TRUST_PROXY takes a hop count, `true`, or trusted addresses/subnets
+// (e.g. `loopback, 10.0.0.0/8`).
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 
 // Create a Winston logger
 const logger = createLogger({
@@ -47,19 +50,47 @@ app.use(xss()); // Data sanitization against XSS
 // });
 // app.use('/api', limiter);
 
+// Refuse to start without a mail transport in production
+checkMailConfig();
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-.then(() => logger.info('MongoDB connected'))
+.then(() => {
+  logger.info('MongoDB connected');
+
+  // Background jobs (membership expiry sweeper, ...)
+  if (process.env.JOBS_ENABLED !== 'false') {
+    require('./jobs').start(logger);
+  }
+})
 .catch(err => logger.error('MongoDB connection error:', err));
 
+// Files kept by the local storage driver. They are user uploads, so the
+// browser must not run anything in them.
+if (storage.driverName() === 'local') {
+  app.use('/media', express.static(require('./utils/storage/local').rootDir(), {
+    index: false,
+    setHeaders: (res) => {
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+      res.set('X-Content-Type-Options', 'nosniff');
+    },
+  }));
+}
+
 // Routes
+app.use('/api/auth/invitations', require('./routes/invitations'));
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
 app.use('/api/industries', require('./routes/industries'));
+app.use('/api/material-synonyms', require('./routes/materialSynonyms'));
 app.use('/api/updates', require('./routes/updates'));
 app.use('/api/emergency', require('./routes/emergency'));
 app.use('/api/polls', require('./routes/polls'));
 app.use('/api/feedback', require('./routes/feedback'));
 app.use('/api/workshops', require('./routes/workshops'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/inquiries', require('./routes/inquiries'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('./tokens');
+
+// Keys look like "fk_<prefix>_<secret>"
+const KEY_PATTERN = /^fk_([0-9a-f]{8})_[0-9a-f]{48}$/;
+
+// Only record usage once a minute so busy integrations don't write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Generate a new key. The plain key is returned once and never stored.
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `fk_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+// Read an API key from the X-API-Key header or an "Authorization: Bearer fk_..." header
+const extractApiKey = (req) => {
+  const header = req.header('X-API-Key');
+  if (header) return header.trim();
+
+  const bearer = req.header('Authorization')?.split(' ')[1];
+  return bearer && bearer.startsWith('fk_') ? bearer : null;
+};
+
+// Resolve a presented key to a usable ApiKey document, or null if it is
+// unknown, revoked or expired
+const findActiveApiKey = async (key, ip) => {
+  if (!KEY_PATTERN.test(key)) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || apiKey.status !== 'active') {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = ip;
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: ip });
+  }
+
+  return apiKey;
+};
+
+module.exports = { generateApiKey, extractApiKey, findActiveApiKey };
@@ -0,0 +1,21 @@
+// Quote a value for CSV. Values that spreadsheet apps would treat as formulas
+// are prefixed with a quote so an exported file can't run anything.
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from objects. columns: [{ header, value: (row) => any }]
+const toCsv = (rows, columns) =>
+  [
+    columns.map((column) => escapeCsvValue(column.header)).join(','),
+    ...rows.map((row) => columns.map((column) => escapeCsvValue(column.value(row))).join(','))
+  ].join('\r\n') + '\r\n';
+
+module.exports = { escapeCsvValue, toCsv };
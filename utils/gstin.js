@@ -0,0 +1,90 @@
+// Offline GSTIN validation. A GSTIN is 15 characters:
+//   2-digit state code + 10-character PAN + entity number + 'Z' + check character
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^(\d{2})([A-Z]{5}\d{4}[A-Z])([1-9A-Z])Z([0-9A-Z])$/;
+
+// GST state and union territory codes
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '25': 'Daman and Diu',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '28': 'Andhra Pradesh (before division)',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+  '99': 'Centre Jurisdiction'
+};
+
+const normalizeGstin = (gstin) => String(gstin || '').trim().toUpperCase();
+
+// Check character over the first 14 characters (weights alternate 1 and 2, base 36)
+const gstinCheckCharacter = (first14) => {
+  const sum = first14.split('').reduce((total, char, index) => {
+    const product = CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+
+  return CHARSET[(36 - (sum % 36)) % 36];
+};
+
+// Returns an error message for a malformed GSTIN, or null if it is valid
+const gstinError = (value) => {
+  const gstin = normalizeGstin(value);
+  const match = gstin.match(GSTIN_PATTERN);
+
+  if (!match) {
+    return 'GSTIN must be 15 characters: a 2-digit state code, 10-character PAN, entity number, "Z" and a check character';
+  }
+  if (!STATE_CODES[match[1]]) {
+    return `GSTIN state code ${match[1]} is not a valid GST state code`;
+  }
+  if (gstinCheckCharacter(gstin.slice(0, 14)) !== match[4]) {
+    return 'GSTIN check character is incorrect; please re-check the number';
+  }
+
+  return null;
+};
+
+const isValidGstin = (value) => gstinError(value) === null;
+
+// Split a valid GSTIN into its parts
+const parseGstin = (value) => {
+  const gstin = normalizeGstin(value);
+  const [, stateCode, pan] = gstin.match(GSTIN_PATTERN);
+
+  return { gstin, stateCode, state: STATE_CODES[stateCode], pan };
+};
+
+module.exports = { STATE_CODES, normalizeGstin, gstinCheckCharacter, gstinError, isValidGstin, parseGstin };
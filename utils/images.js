@@ -0,0 +1,92 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { imageSizes, image: imageConfig } = require('../config/uploads');
+const { storeFiles, remove } = require('./storage');
+
+const FORMATS = {
+  'image/jpeg': { format: 'jpeg', extension: '.jpg', options: { quality: 85, mozjpeg: true } },
+  'image/png': { format: 'png', extension: '.png', options: { compressionLevel: 9 } },
+  'image/webp': { format: 'webp', extension: '.webp', options: { quality: 85 } }
+};
+
+// Re-encode an uploaded image at each configured size. Rotation from the EXIF
+// orientation is applied first; the output carries no EXIF or other metadata
+// (sharp drops it unless asked to keep it), so camera and GPS details are gone.
+const renderVariants = async (file) => {
+  const { format, extension, options } = FORMATS[file.mimetype];
+  const source = sharp(file.path, { limitInputPixels: imageConfig.maxPixels }).rotate();
+
+  const results = await Promise.allSettled(
+    Object.entries(imageSizes).map(async ([name, size]) => {
+      const path = `${file.path}-${name}${extension}`;
+      const info = await source
+        .clone()
+        .resize({ ...size, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toFile(path);
+
+      return { name, info, file: { path, originalname: `${name}${extension}` } };
+    })
+  );
+
+  const failed = results.find((result) => result.status === 'rejected');
+  if (failed) {
+    results
+      .filter((result) => result.status === 'fulfilled')
+      .forEach((result) => fs.unlink(result.value.file.path, () => {}));
+    throw failed.reason;
+  }
+
+  return results.map((result) => result.value);
+};
+
+// Process and store one image. Returns { url, publicId, width, height, variants }
+// where variants holds the medium and thumbnail copies.
+const storeImage = async (file, { folder }) => {
+  const rendered = await renderVariants(file);
+  const stored = await storeFiles(rendered.map((variant) => variant.file), { folder });
+
+  const byName = {};
+  rendered.forEach((variant, index) => {
+    byName[variant.name] = { ...stored[index], width: variant.info.width, height: variant.info.height };
+  });
+
+  const { original, ...variants } = byName;
+  return {
+    url: original.url,
+    publicId: original.publicId,
+    width: original.width,
+    height: original.height,
+    variants: Object.fromEntries(
+      Object.entries(variants).map(([name, variant]) => [name, { url: variant.url, publicId: variant.publicId }])
+    )
+  };
+};
+
+const VARIANT_NAMES = Object.keys(imageSizes).filter((name) => name !== 'original');
+
+// Every storage id belonging to a stored file, including image variants
+const imagePublicIds = (image) =>
+  [image.publicId, ...VARIANT_NAMES.map((name) => image.variants && image.variants[name] && image.variants[name].publicId)]
+    .filter(Boolean);
+
+// Process and store uploaded images in order. If one fails, the ones already
+// stored are removed again before the error is passed on.
+const storeImages = async (files = [], options) => {
+  const images = [];
+
+  try {
+    for (const file of files) {
+      images.push(await storeImage(file, options));
+    }
+  } catch (err) {
+    await Promise.all(
+      images.flatMap(imagePublicIds).map((publicId) => remove(publicId).catch((removeErr) => console.error(removeErr.message)))
+    );
+    throw err;
+  }
+
+  return images;
+};
+
+module.exports = { storeImages, imagePublicIds };
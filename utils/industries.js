@@ -0,0 +1,24 @@
+const Industry = require('../models/Industry');
+const Inquiry = require('../models/Inquiry');
+const { removeJobPostings } = require('./jobBoard');
+const { destroyMedia } = require('./media');
+
+// Every stored image of an industry, including product photos
+const industryImages = (industry) => [
+  ...(industry.images || []),
+  ...(industry.products || []).flatMap((product) => product.images || [])
+];
+
+// Delete industries matching the filter with their job postings, inquiries and
+// stored images
+const removeIndustries = async (filter) => {
+  const industries = await Industry.find(filter).select('images products.images');
+  const industryIds = industries.map((industry) => industry._id);
+
+  await removeJobPostings({ industry: { $in: industryIds } });
+  await Inquiry.deleteMany({ industry: { $in: industryIds } });
+  await Industry.deleteMany({ _id: { $in: industryIds } });
+  await destroyMedia(industries.flatMap(industryImages));
+};
+
+module.exports = { industryImages, removeIndustries };
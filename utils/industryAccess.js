@@ -0,0 +1,73 @@
+const Industry = require('../models/Industry');
+const { hasPermission } = require('../config/roles');
+const { reviewFields } = require('../config/industries');
+
+// Public queries only see approved listings (or ones from before moderation)
+const PUBLIC_INDUSTRY_FILTER = { 'moderation.status': { $nin: ['pending', 'rejected'] } };
+
+const isApproved = (industry) => !['pending', 'rejected'].includes(industry.moderation && industry.moderation.status);
+
+// Owners manage their own industries; moderators manage all of them
+const canManageIndustry = (user, industry) => {
+  const ownerId = industry.owner && (industry.owner._id || industry.owner).toString();
+  return ownerId === user.id || hasPermission(user, 'industries:moderate');
+};
+
+// Drafts and rejected listings are only visible to their owner and moderators.
+// user may be undefined for anonymous requests.
+const canViewIndustry = (user, industry) => isApproved(industry) || Boolean(user && canManageIndustry(user, industry));
+
+// Send a listing back to the review queue when its owner changes key fields
+// (reviewFields) of an approved listing or edits a rejected one. Moderators'
+// own edits don't need review. Call before saving.
+const flagForReview = (user, industry) => {
+  const { status } = industry.moderation || {};
+
+  if (hasPermission(user, 'industries:moderate') || status === 'pending') {
+    return;
+  }
+
+  if (status === 'rejected' || reviewFields.some((field) => industry.isModified(field))) {
+    industry.moderation = { status: 'pending', submittedAt: new Date() };
+  }
+};
+
+// Load the industry in req.params.id for a write and check the caller may
+// manage it. Sends the error response and returns null otherwise.
+const loadManagedIndustry = async (req, res) => {
+  const industry = await Industry.findById(req.params.id);
+
+  if (!industry) {
+    res.status(404).json({ msg: 'Industry not found' });
+    return null;
+  }
+
+  if (!canManageIndustry(req.user, industry)) {
+    res.status(403).json({ msg: 'Not authorized' });
+    return null;
+  }
+
+  return industry;
+};
+
+// Error response for the industry sub-resource routes (products, images)
+const handleIndustryError = (err, res) => {
+  console.error(err.message);
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ msg: 'Industry not found' });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ msg: err.message });
+  }
+  res.status(500).send('Server Error');
+};
+
+module.exports = {
+  PUBLIC_INDUSTRY_FILTER,
+  isApproved,
+  canManageIndustry,
+  canViewIndustry,
+  flagForReview,
+  loadManagedIndustry,
+  handleIndustryError
+};
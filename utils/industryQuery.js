@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { check } = require('express-validator');
+const { escapeRegex } = require('./text');
+
+const SORT_OPTIONS = {
+  relevance: { score: { $meta: 'textScore' }, name: 1 },
+  name: { name: 1 },
+  '-name': { name: -1 },
+  createdAt: { createdAt: 1, _id: 1 },
+  '-createdAt': { createdAt: -1, _id: -1 }
+};
+
+// ?material=steel&material=plastic and ?material=steel,plastic both work
+const toList = (value) =>
+  [].concat(value || [])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Query parameters accepted by the industry listing and search
+const industryQueryRules = [
+  check('q').optional().isString().trim(),
+  check('vacancy', 'vacancy must be true or false').optional().isBoolean().toBoolean(),
+  check('material').optional().customSanitizer(toList),
+  check('minPrice', 'minPrice must be a non-negative number').optional().isFloat({ min: 0 }).toFloat(),
+  check('maxPrice', 'maxPrice must be a non-negative number').optional().isFloat({ min: 0 }).toFloat(),
+  check('owner', 'owner must be a valid id').optional().isMongoId(),
+  check('sort', 'Invalid sort').optional().isIn(Object.keys(SORT_OPTIONS))
+    .custom((value, { req }) => value !== 'relevance' || Boolean(req.query.q))
+    .withMessage('Sorting by relevance requires a search term'),
+  check('page', 'page must be a positive number').optional().isInt({ min: 1 }).toInt(),
+  check('limit', 'limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+// Filter for every criterion except materials, which is kept separate so the
+// material facet can count across all materials in the current result set.
+// Values are cast explicitly because aggregation pipelines skip schema casting.
+const buildIndustryFilter = (query) => {
+  const filter = {};
+
+  if (query.q) filter.$text = { $search: query.q };
+  if (query.vacancy !== undefined) filter['vacancy.available'] = query.vacancy;
+  if (query.owner) filter.owner = new mongoose.Types.ObjectId(query.owner);
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    const price = {};
+    if (query.minPrice !== undefined) price.$gte = query.minPrice;
+    if (query.maxPrice !== undefined) price.$lte = query.maxPrice;
+    filter.products = { $elemMatch: { price } };
+  }
+
+  return filter;
+};
+
+// Materials match case-insensitively; any of the given materials qualifies
+const buildMaterialFilter = (query) =>
+  query.material && query.material.length
+    ? { materials: { $in: query.material.map((material) => new RegExp(`^${escapeRegex(material)}$`, 'i')) } }
+    : {};
+
+// Search results are ranked by relevance unless another order is requested
+const buildIndustrySort = (query) => SORT_OPTIONS[query.sort || (query.q ? 'relevance' : '-createdAt')];
+
+module.exports = { industryQueryRules, buildIndustryFilter, buildMaterialFilter, buildIndustrySort };
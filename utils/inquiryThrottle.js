@@ -0,0 +1,20 @@
+const Inquiry = require('../models/Inquiry');
+
+// Inquiries accepted from one IP address, and from one email address, per window
+const MAX_PER_IP = Number(process.env.INQUIRY_MAX_PER_IP) || 5;
+const MAX_PER_EMAIL = Number(process.env.INQUIRY_MAX_PER_EMAIL) || 5;
+const WINDOW_MS = (Number(process.env.INQUIRY_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// Whether a new inquiry from this sender should be refused as likely spam
+const isInquiryThrottled = async ({ ip, email }) => {
+  const since = new Date(Date.now() - WINDOW_MS);
+
+  const [fromIp, fromEmail] = await Promise.all([
+    Inquiry.countDocuments({ ip, createdAt: { $gte: since } }),
+    Inquiry.countDocuments({ email: email.toLowerCase(), createdAt: { $gte: since } })
+  ]);
+
+  return fromIp >= MAX_PER_IP || fromEmail >= MAX_PER_EMAIL;
+};
+
+module.exports = { isInquiryThrottled };
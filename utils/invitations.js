@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { hashToken } = require('./tokens');
+
+const INVITATION_EXPIRE_DAYS = Number(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+const invitationUrl = (token) =>
+  `${process.env.CLIENT_URL || 'http://localhost:3000'}/accept-invitation/${token}`;
+
+// Issue an invitation for a pending user. Returns the invitation plus the raw
+// token and link.
+const createInvitation = async (user, invitedBy) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const invitation = new Invitation({
+    user: user._id,
+    email: user.email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    invitedBy
+  });
+  await invitation.save();
+
+  return { invitation, token, url: invitationUrl(token) };
+};
+
+const sendInvitationEmail = (user, url) =>
+  sendMail({
+    to: user.email,
+    subject: 'You have been invited to the federation portal',
+    text: `Hello ${user.username},\n\nAn account has been created for you on the federation portal. Use the link below to choose your password and activate it:\n\n${url}\n\nThe link expires in ${INVITATION_EXPIRE_DAYS} days and can only be used once.`,
+  });
+
+// Create a pending account (with an unusable random password) and its
+// invitation. The account is removed again if the invitation can't be created.
+const createPendingMember = async ({ username, email, company, expiryDate }, invitedBy) => {
+  const user = new User({
+    username,
+    email,
+    company,
+    expiryDate,
+    password: crypto.randomBytes(32).toString('hex'),
+    status: 'pending'
+  });
+  await user.save();
+
+  try {
+    const { invitation, url } = await createInvitation(user, invitedBy);
+    return { user, invitation, url };
+  } catch (err) {
+    await User.deleteOne({ _id: user._id });
+    throw err;
+  }
+};
+
+module.exports = { createInvitation, createPendingMember, sendInvitationEmail };
@@ -0,0 +1,54 @@
+const Industry = require('../models/Industry');
+const JobPosting = require('../models/JobPosting');
+const JobApplication = require('../models/JobApplication');
+const { destroyMedia } = require('./media');
+
+// Keep the industry's vacancy flag in line with its open postings so the
+// directory's ?vacancy= filter reflects the job board
+const syncIndustryVacancy = async (industryId) => {
+  const available = Boolean(await JobPosting.exists({ industry: industryId, ...JobPosting.openFilter() }));
+  await Industry.updateOne({ _id: industryId }, { 'vacancy.available': available });
+};
+
+const destroyResumes = (applications) =>
+  destroyMedia(applications.map((application) => application.resume).filter(Boolean), { resourceType: 'raw' });
+
+// Delete postings matching the filter together with their applications and resumes
+const removeJobPostings = async (filter) => {
+  const postingIds = await JobPosting.find(filter).distinct('_id');
+  const applications = await JobApplication.find({ posting: { $in: postingIds } }).select('resume');
+
+  await JobApplication.deleteMany({ posting: { $in: postingIds } });
+  await JobPosting.deleteMany({ _id: { $in: postingIds } });
+  await destroyResumes(applications);
+};
+
+// Delete every application a user has made, e.g. when the user is purged
+const removeApplicationsBy = async (userId) => {
+  const applications = await JobApplication.find({ applicant: userId }).select('resume');
+  await JobApplication.deleteMany({ applicant: userId });
+  await destroyResumes(applications);
+};
+
+// Scheduled job: close postings past their closing date and update the
+// affected industries' vacancy flags
+const closeExpiredPostings = async () => {
+  const expired = await JobPosting.find({ status: 'open', closingDate: { $lt: new Date() } }).select('industry');
+
+  if (!expired.length) return;
+
+  await JobPosting.updateMany({ _id: { $in: expired.map((posting) => posting._id) } }, { status: 'closed' });
+
+  const industryIds = [...new Set(expired.map((posting) => posting.industry.toString()))];
+  for (const industryId of industryIds) {
+    await syncIndustryVacancy(industryId);
+  }
+};
+
+module.exports = {
+  syncIndustryVacancy,
+  destroyResumes,
+  removeJobPostings,
+  removeApplicationsBy,
+  closeExpiredPostings
+};
@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+
+// Failed attempts allowed before an account is locked
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+// First lockout lasts this long and doubles with every further failure
+const BASE_LOCK_MS = (Number(process.env.LOGIN_LOCK_MINUTES) || 1) * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Failed attempts allowed from one IP within the window, across all accounts
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+
+const recordLoginEvent = (req, { user, email, success, reason }) =>
+  LoginEvent.create({
+    user: user && user._id,
+    email,
+    success,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+// Only wrong passwords and codes count. Refusals because the IP or account
+// was already blocked don't, or a client that keeps retrying would never
+// get out of the window.
+const CREDENTIAL_FAILURES = ['invalid_credentials', 'invalid_two_factor'];
+
+const isIpBlocked = async (ip) => {
+  const failures = await LoginEvent.countDocuments({
+    ip,
+    reason: { $in: CREDENTIAL_FAILURES },
+    createdAt: { $gte: new Date(Date.now() - IP_WINDOW_MS) }
+  });
+
+  return failures >= MAX_IP_FAILURES;
+};
+
+// Milliseconds until a locked account can try again, 0 if not locked
+const lockRemaining = (user) =>
+  user.lockUntil ? Math.max(0, user.lockUntil.getTime() - Date.now()) : 0;
+
+// Count a failed password and lock the account once the limit is reached:
+// 1 minute at 5 failures, 2 at 6, 4 at 7, ... up to a day.
+const registerFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  const excess = updated.failedLoginAttempts - MAX_ACCOUNT_FAILURES;
+  if (excess >= 0) {
+    const lockMs = Math.min(BASE_LOCK_MS * 2 ** excess, MAX_LOCK_MS);
+    await User.updateOne({ _id: user._id }, { lockUntil: new Date(Date.now() + lockMs) });
+  }
+};
+
+const clearFailedLogins = (user) =>
+  User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+
+module.exports = {
+  recordLoginEvent,
+  isIpBlocked,
+  lockRemaining,
+  registerFailedLogin,
+  clearFailedLogins
+};
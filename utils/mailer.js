@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports receive a normalised message ({ from, to, subject, text, html })
+// and resolve once it has been handed off. Select one with MAIL_TRANSPORT.
+const transports = {
+  // Local development: print the message to stdout
+  console: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+
+  // Local development and tests: write each message as a JSON file to MAIL_DIR
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || 'mail';
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  },
+
+  // Production: deliver through an SMTP server
+  smtp: async (message) => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    await transporter.sendMail(message);
+  },
+};
+
+// Register an additional transport, e.g. for a third-party mail API
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+// The configured transport name. Outside production it defaults to console;
+// in production it must be set explicitly, since the console and file
+// transports would write working reset and invitation links to the logs.
+const transportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+
+  return 'console';
+};
+
+// Throws if mail is not configured; called at startup so a misconfigured
+// server refuses to start instead of failing on the first email
+const checkMailConfig = () => {
+  const name = transportName();
+
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+// Send a message through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = transportName();
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@federation.local',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail, registerTransport, checkMailConfig };
@@ -0,0 +1,132 @@
+// Supplier matchmaking: compares the materials one industry consumes with the
+// products other industries make. Names are normalised, mapped through the
+// admin-maintained synonyms and then compared fuzzily.
+
+// Scores below this are not considered a match
+const MIN_SCORE = 0.6;
+
+// Lowercase, strip punctuation and reduce simple plurals ("pipes" -> "pipe")
+const normalize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map((word) => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word))
+    .join(' ');
+
+// Map every normalised synonym (and the term itself) to the term
+const buildSynonymIndex = (synonymGroups) => {
+  const index = new Map();
+  synonymGroups.forEach((group) => {
+    const term = normalize(group.term);
+    [group.term, ...group.synonyms].forEach((name) => index.set(normalize(name), term));
+  });
+  return index;
+};
+
+// Canonical form of a name: the whole phrase if it is a known synonym,
+// otherwise each word that is one
+const canonicalize = (text, index) => {
+  const phrase = normalize(text);
+  if (index.has(phrase)) return index.get(phrase);
+
+  return phrase
+    .split(' ')
+    .map((word) => index.get(word) || word)
+    .join(' ');
+};
+
+const trigrams = (text) => {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i += 1) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Dice coefficient over character trigrams: 1 for equal strings, tolerant of typos
+const diceSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  gramsA.forEach((gram) => {
+    if (gramsB.has(gram)) shared += 1;
+  });
+
+  return (2 * shared) / (gramsA.size + gramsB.size);
+};
+
+// How well two canonical names match, from 0 to 1. "steel" matches
+// "steel sheet" through word containment and "aluminum" matches
+// "aluminium coil" through word similarity, while "copper wire" does not
+// match "steel wire" just because both end in "wire".
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  const contained = shorter.every((word) => longer.includes(word)) ? 0.9 : 0;
+
+  // A single-word name may match one word of a longer name with a typo or spelling variant
+  let wordMatch = 0;
+  if (shorter.length === 1 && shorter[0].length > 3) {
+    wordMatch = Math.max(...longer.map((word) => diceSimilarity(shorter[0], word))) * 0.85;
+  }
+
+  return Math.max(contained, wordMatch, diceSimilarity(a, b));
+};
+
+// Match the names one industry needs against the names another offers.
+// Returns { score, matches: [{ need, offer, score }] }, one entry per need
+// that found a match, using the best offer for it.
+const matchNames = (needs, offers, index) => {
+  const canonicalOffers = offers.map((offer) => ({ offer, canonical: canonicalize(offer, index) }));
+  const matches = [];
+
+  [...new Set(needs)].forEach((need) => {
+    const canonicalNeed = canonicalize(need, index);
+    let best = null;
+
+    canonicalOffers.forEach(({ offer, canonical }) => {
+      const score = similarity(canonicalNeed, canonical);
+      if (score >= MIN_SCORE && (!best || score > best.score)) {
+        best = { need, offer, score: Math.round(score * 100) / 100 };
+      }
+    });
+
+    if (best) matches.push(best);
+  });
+
+  matches.sort((a, b) => b.score - a.score);
+  return { score: Math.round(matches.reduce((sum, match) => sum + match.score, 0) * 100) / 100, matches };
+};
+
+const productNames = (industry) => (industry.products || []).map((product) => product.name);
+
+// Rank candidate industries for one industry.
+//   suppliers: candidates whose products match the industry's materials
+//   customers: candidates whose materials match the industry's products
+const rankMatches = (industry, candidates, index, { limit = 20 } = {}) => {
+  const rank = (scoreFor) =>
+    candidates
+      .filter((candidate) => !candidate._id.equals(industry._id))
+      .map((candidate) => ({ industry: candidate, ...scoreFor(candidate) }))
+      .filter((result) => result.matches.length > 0)
+      .sort((a, b) => b.score - a.score || a.industry.name.localeCompare(b.industry.name))
+      .slice(0, limit);
+
+  return {
+    suppliers: rank((candidate) => matchNames(industry.materials || [], productNames(candidate), index)),
+    customers: rank((candidate) => matchNames(productNames(industry), candidate.materials || [], index))
+  };
+};
+
+module.exports = { normalize, buildSynonymIndex, canonicalize, similarity, matchNames, rankMatches };
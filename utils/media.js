@@ -0,0 +1,59 @@
+const MediaDeletion = require('../models/MediaDeletion');
+const storage = require('./storage');
+const { imagePublicIds } = require('./images');
+
+// Give up on a file after this many failed deletions; it stays listed in the
+// mediadeletions collection for manual cleanup
+const MAX_ATTEMPTS = 10;
+
+// Recover the Cloudinary public id from a delivery URL, e.g.
+// https://res.cloudinary.com/demo/image/upload/v1634/industries/abc.jpg -> industries/abc
+const publicIdFromUrl = (url) => {
+  const match = String(url || '').match(/\/upload\/(?:[^/]+\/)*?v\d+\/(.+?)(?:\.[a-z0-9]+)?$/i);
+  return match ? match[1] : null;
+};
+
+// Delete stored files ({ publicId } items, e.g. image subdocuments, along
+// with their variants). Failures don't throw; they are queued and retried by
+// the media-cleanup job.
+const destroyMedia = async (items, { resourceType = 'image' } = {}) => {
+  const publicIds = [...new Set(items.filter(Boolean).flatMap(imagePublicIds))];
+
+  await Promise.all(
+    publicIds.map(async (publicId) => {
+      try {
+        await storage.remove(publicId, { resourceType });
+      } catch (err) {
+        console.error(err.message);
+        await MediaDeletion.updateOne(
+          { publicId, resourceType, driver: storage.driverName() },
+          { $set: { lastError: err.message, lastAttemptAt: new Date() }, $inc: { attempts: 1 } },
+          { upsert: true }
+        );
+      }
+    })
+  );
+};
+
+// Scheduled job: retry queued deletions
+const retryMediaDeletions = async () => {
+  const pending = await MediaDeletion.find({ driver: storage.driverName(), attempts: { $lt: MAX_ATTEMPTS } }).sort({ lastAttemptAt: 1 }).limit(100);
+  let deleted = 0;
+
+  for (const item of pending) {
+    try {
+      await storage.remove(item.publicId, { resourceType: item.resourceType });
+      await item.deleteOne();
+      deleted += 1;
+    } catch (err) {
+      item.attempts += 1;
+      item.lastError = err.message;
+      item.lastAttemptAt = new Date();
+      await item.save();
+    }
+  }
+
+  return { retried: pending.length, deleted };
+};
+
+module.exports = { publicIdFromUrl, destroyMedia, retryMediaDeletions };
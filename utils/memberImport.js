@@ -0,0 +1,133 @@
+const { parse } = require('csv-parse/sync');
+const { check, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { createPendingMember } = require('./invitations');
+const { registrationRules } = require('./validators');
+
+const MAX_ROWS = 500;
+const REQUIRED_COLUMNS = ['username', 'email', 'expiry'];
+
+// Registration rules plus the import-only columns
+const rowRules = [
+  ...registrationRules,
+  check('expiry', 'Expiry must be a date in YYYY-MM-DD format').isISO8601(),
+  check('company', 'Company cannot exceed 100 characters').optional({ checkFalsy: true }).isLength({ max: 100 })
+];
+
+// Parse a members CSV. Header names are case-insensitive.
+// Throws with a user-facing message if the file is unusable.
+const parseMemberCsv = (buffer) => {
+  const records = parse(buffer, {
+    bom: true,
+    columns: (header) => header.map((column) => column.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true
+  });
+
+  if (!records.length) {
+    throw new Error('The CSV file has no rows');
+  }
+
+  const missing = REQUIRED_COLUMNS.filter((column) => !(column in records[0]));
+  if (missing.length) {
+    throw new Error(`Missing required columns: ${missing.join(', ')}`);
+  }
+
+  if (records.length > MAX_ROWS) {
+    throw new Error(`A single import can contain at most ${MAX_ROWS} rows`);
+  }
+
+  return records;
+};
+
+// Validate every row and report per-row errors. Row numbers match the CSV
+// file, counting the header as row 1.
+const validateMemberRows = async (records) => {
+  const now = new Date();
+  const rows = [];
+
+  for (const [index, record] of records.entries()) {
+    const row = {
+      row: index + 2,
+      username: record.username,
+      email: record.email,
+      company: record.company || undefined,
+      expiryDate: record.expiry ? new Date(record.expiry) : undefined,
+      errors: []
+    };
+
+    const rowReq = { body: record };
+    for (const rule of rowRules) {
+      await rule.run(rowReq);
+    }
+    row.errors.push(...validationResult(rowReq).array().map((err) => err.msg));
+
+    if (row.expiryDate && !isNaN(row.expiryDate) && row.expiryDate <= now) {
+      row.errors.push('Expiry must be in the future');
+    }
+
+    // Catch anything the User model would still reject
+    if (!row.errors.length) {
+      const validationError = new User({ ...row, password: 'placeholder' }).validateSync();
+      if (validationError) {
+        row.errors.push(...Object.values(validationError.errors).map((err) => err.message));
+      }
+    }
+
+    rows.push(row);
+  }
+
+  // Duplicates within the file
+  const seen = { email: new Map(), username: new Map() };
+  rows.forEach((row) => {
+    ['email', 'username'].forEach((field) => {
+      if (!row[field]) return;
+      if (seen[field].has(row[field])) {
+        row.errors.push(`Duplicate ${field} (same as row ${seen[field].get(row[field])})`);
+      } else {
+        seen[field].set(row[field], row.row);
+      }
+    });
+  });
+
+  // Duplicates of existing accounts
+  const existing = await User.find({
+    $or: [
+      { email: { $in: [...seen.email.keys()] } },
+      { username: { $in: [...seen.username.keys()] } }
+    ]
+  }).select('email username');
+
+  const existingEmails = new Set(existing.map((user) => user.email));
+  const existingUsernames = new Set(existing.map((user) => user.username));
+  rows.forEach((row) => {
+    if (existingEmails.has(row.email)) row.errors.push('A user with this email already exists');
+    if (existingUsernames.has(row.username)) row.errors.push('A user with this username already exists');
+  });
+
+  return rows;
+};
+
+// Create the pending accounts and invitations for validated rows, all or
+// nothing. This doesn't use a transaction, so it also works on a standalone
+// MongoDB server: if a row fails, the accounts and invitations this import
+// already created are deleted and the error is rethrown.
+const importMemberRows = async (rows, invitedBy) => {
+  const created = [];
+
+  try {
+    for (const row of rows) {
+      created.push(await createPendingMember(row, invitedBy));
+    }
+  } catch (err) {
+    const userIds = created.map(({ user }) => user._id);
+    await Invitation.deleteMany({ user: { $in: userIds } });
+    await User.deleteMany({ _id: { $in: userIds } });
+    throw err;
+  }
+
+  return created;
+};
+
+module.exports = { parseMemberCsv, validateMemberRows, importMemberRows };
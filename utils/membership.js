@@ -0,0 +1,41 @@
+const MembershipTerm = require('../models/MembershipTerm');
+const { invalidateUser } = require('./userCache');
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Extend a user's membership by `months` and record the renewal in the ledger.
+// The new term starts at the current expiry date, so remaining time isn't lost;
+// lapsed memberships start again from today.
+const renewMembership = async (user, { months, feeAmount, currency, paymentReference, notes, approvedBy }) => {
+  const now = new Date();
+  const startDate = user.expiryDate && user.expiryDate > now ? user.expiryDate : now;
+  const endDate = addMonths(startDate, months);
+
+  const term = new MembershipTerm({
+    user: user._id,
+    startDate,
+    endDate,
+    months,
+    feeAmount,
+    currency,
+    paymentReference,
+    notes,
+    approvedBy
+  });
+
+  // Validate the ledger entry before touching the user
+  await term.validate();
+
+  user.expiryDate = endDate;
+  user.status = 'active';
+  await user.save();
+  invalidateUser(user._id);
+
+  return term.save();
+};
+
+module.exports = { addMonths, renewMembership };
@@ -0,0 +1,26 @@
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Cloudinary stores images as "image" and other documents (resumes) as "raw"
+module.exports = {
+  upload: async (file, { folder, resourceType }) => {
+    const result = await cloudinary.uploader.upload(file.path, { folder, resource_type: resourceType });
+    return { url: result.secure_url, publicId: result.public_id };
+  },
+
+  remove: async (publicId, { resourceType }) => {
+    const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+
+    // "not found" means there is nothing left to delete
+    if (result.result !== 'ok' && result.result !== 'not found') {
+      throw new Error(`Could not delete ${publicId}: ${result.result}`);
+    }
+  },
+
+  url: (publicId, { resourceType }) => cloudinary.url(publicId, { secure: true, resource_type: resourceType }),
+};
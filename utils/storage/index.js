@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+// Media storage. Drivers implement:
+//   upload(file, { folder, resourceType }) -> { url, publicId }   (file is a Multer file on disk)
+//   remove(publicId, { resourceType })      -> resolves once deleted, or if already gone
+//   url(publicId, { resourceType })         -> public URL
+// Select one with STORAGE_DRIVER ("cloudinary" or "local"). It defaults to
+// Cloudinary when CLOUDINARY_CLOUD_NAME is set and to local disk otherwise.
+const drivers = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local'),
+};
+
+// Register an additional driver, e.g. for S3
+const registerDriver = (name, load) => {
+  drivers[name] = load;
+};
+
+const driverName = () => process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+const driver = () => {
+  const name = driverName();
+
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return drivers[name]();
+};
+
+const upload = (file, { folder, resourceType = 'image' }) => driver().upload(file, { folder, resourceType });
+
+const remove = (publicId, { resourceType = 'image' } = {}) => driver().remove(publicId, { resourceType });
+
+const url = (publicId, { resourceType = 'image' } = {}) => driver().url(publicId, { resourceType });
+
+// Store uploaded temp files and return their { url, publicId } entries. The
+// temp files are always removed, and if any upload fails the ones that
+// succeeded are deleted again so nothing is orphaned.
+const storeFiles = async (files = [], options) => {
+  const results = await Promise.allSettled(files.map((file) => upload(file, options)));
+  files.forEach((file) => fs.unlink(file.path, () => {}));
+
+  const failed = results.find((result) => result.status === 'rejected');
+  if (failed) {
+    await Promise.all(
+      results
+        .filter((result) => result.status === 'fulfilled')
+        .map((result) => remove(result.value.publicId, options).catch((err) => console.error(err.message)))
+    );
+    throw failed.reason;
+  }
+
+  return results.map((result) => result.value);
+};
+
+module.exports = { registerDriver, driverName, upload, remove, url, storeFiles };
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Files are kept under STORAGE_LOCAL_DIR and served by server.js at /media.
+// STORAGE_PUBLIC_URL is prepended to the URLs, e.g. https://api.example.org
+const rootDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage');
+
+// Resolve a stored id to a path, refusing anything outside the storage directory
+const resolvePath = (publicId) => {
+  const filePath = path.resolve(rootDir(), publicId);
+
+  if (!filePath.startsWith(rootDir() + path.sep)) {
+    throw new Error(`Invalid storage id: ${publicId}`);
+  }
+
+  return filePath;
+};
+
+const url = (publicId) => `${process.env.STORAGE_PUBLIC_URL || ''}/media/${publicId}`;
+
+module.exports = {
+  rootDir,
+
+  upload: async (file, { folder }) => {
+    const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const publicId = `${folder}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+    const filePath = resolvePath(publicId);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(file.path, filePath);
+
+    return { url: url(publicId), publicId };
+  },
+
+  remove: async (publicId) => {
+    try {
+      await fs.promises.unlink(resolvePath(publicId));
+    } catch (err) {
+      // Already gone
+      if (err.code !== 'ENOENT') throw err;
+    }
+  },
+
+  url,
+};
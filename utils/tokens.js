@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT bound to a session
+const signAccessToken = (user, session) => {
+  const payload = {
+    user: {
+      id: user.id,
+      role: user.role,
+      roles: user.roles
+    },
+    sid: session.id
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRE });
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const setRefreshToken = (session) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  session.previousRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(secret);
+  return `${session.id}.${secret}`;
+};
+
+// Start a new session for a user and return its token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry(),
+    lastUsedAt: new Date()
+  });
+
+  const refreshToken = setRefreshToken(session);
+  await session.save();
+
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// Returns null if the token is invalid. Presenting the refresh token that was
+// just rotated out revokes the whole session, since it means the token has
+// leaked; any other wrong secret is simply rejected, so guessing session ids
+// can't log other users out.
+const rotateSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const secretHash = hashToken(secret);
+
+  if (session.refreshTokenHash !== secretHash) {
+    if (session.previousRefreshTokenHash === secretHash) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || user.status !== 'active') {
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  const newRefreshToken = setRefreshToken(session);
+  session.expiresAt = refreshTokenExpiry();
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { token: signAccessToken(user, session), refreshToken: newRefreshToken, user };
+};
+
+// Short-lived token proving the password step of a login, used to finish the
+// login with a second factor ("2fa-login") or to enrol one ("2fa-setup")
+const signChallengeToken = (user, purpose) =>
+  jwt.sign({ sub: user.id, purpose }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+// Returns the user id, or null if the token is invalid or for another purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.sub : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const revokeSession = (sessionId) =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+
+// Log a user out everywhere, e.g. after deactivation or a password change.
+// Pass { except: sessionId } to keep the current session alive.
+const revokeUserSessions = (userId, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  return Session.updateMany(filter, { revokedAt: new Date() });
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  signChallengeToken,
+  verifyChallengeToken,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields needed to check a second factor, all excluded from queries by default
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// With ADMIN_2FA_REQUIRED=true admins can't log in without enrolling 2FA
+const isTwoFactorEnforced = (user) =>
+  process.env.ADMIN_2FA_REQUIRED === 'true' && user.role === 'admin';
+
+// Returns the plain codes to show once and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+// Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_FIELDS.
+// On success the user is updated (replay marker / used recovery code removed)
+// but not saved.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  const { twoFactor } = user;
+
+  if (code) {
+    const step = verifyTotp(twoFactor.secret, code);
+    if (step === null || (twoFactor.lastUsedStep !== undefined && step <= twoFactor.lastUsedStep)) {
+      return false;
+    }
+    twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    if (!twoFactor.recoveryCodes.includes(hash)) {
+      return false;
+    }
+    twoFactor.recoveryCodes = twoFactor.recoveryCodes.filter((stored) => stored !== hash);
+    return true;
+  }
+
+  return false;
+};
+
+// Turn 2FA off and forget the secret, e.g. when an admin resets it
+const clearTwoFactor = (user) => {
+  user.twoFactor = { enabled: false };
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  isTwoFactorEnforced,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  clearTwoFactor
+};
@@ -0,0 +1,36 @@
+const User = require('../models/User');
+
+// Short-lived cache of the user fields the auth pipeline checks on every
+// request. Entries are dropped explicitly whenever an admin changes a user's
+// status, roles or expiry; the TTL bounds staleness across server instances.
+const TTL_MS = (Number(process.env.AUTH_CACHE_TTL_SECONDS) || 30) * 1000;
+
+const cache = new Map();
+
+// Returns { id, role, roles, status, expiryDate } or null if the user is gone
+const getAuthUser = async (userId) => {
+  const key = String(userId);
+  const entry = cache.get(key);
+
+  if (entry && entry.expires > Date.now()) {
+    return entry.user;
+  }
+
+  const doc = await User.findOne({ _id: key, deletedAt: null }).select('role roles status expiryDate').lean();
+  const user = doc && {
+    id: key,
+    role: doc.role,
+    roles: doc.roles || [],
+    status: doc.status,
+    expiryDate: doc.expiryDate
+  };
+
+  cache.set(key, { user, expires: Date.now() + TTL_MS });
+  return user;
+};
+
+const invalidateUser = (userId) => {
+  cache.delete(String(userId));
+};
+
+module.exports = { getAuthUser, invalidateUser };
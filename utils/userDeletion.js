@@ -0,0 +1,93 @@
+const User = require('../models/User');
+const Industry = require('../models/Industry');
+const Poll = require('../models/Poll');
+const Workshop = require('../models/Workshop');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const LoginEvent = require('../models/LoginEvent');
+const MembershipReminder = require('../models/MembershipReminder');
+const { FeedbackResponse } = require('../models/feedback');
+const policy = require('../config/userDeletion');
+const { revokeUserSessions } = require('./tokens');
+const { invalidateUser } = require('./userCache');
+const { removeApplicationsBy } = require('./jobBoard');
+const { removeIndustries } = require('./industries');
+
+// Mark a user deleted. They lose access immediately but nothing else changes
+// until the account is purged.
+const softDeleteUser = async (user, deletedBy) => {
+  user.deletedAt = new Date();
+  user.deletedBy = deletedBy;
+  user.statusBeforeDeletion = user.status;
+  user.status = 'inactive';
+  await user.save();
+
+  await revokeUserSessions(user._id);
+  await Invitation.updateMany({ user: user._id, revokedAt: null, acceptedAt: null }, { revokedAt: new Date() });
+  invalidateUser(user._id);
+};
+
+// Undo a soft deletion. The account gets back the status it had, so a
+// deactivated member stays inactive and an invited one stays pending (an admin
+// can resend the invitation, which deletion revoked).
+const restoreUser = async (user) => {
+  user.deletedAt = null;
+  user.deletedBy = undefined;
+  // The save hook makes the account inactive again if its membership has expired
+  user.status = user.statusBeforeDeletion || 'active';
+  user.statusBeforeDeletion = undefined;
+  await user.save();
+
+  invalidateUser(user._id);
+};
+
+// Apply the cascade policy and remove the user for good
+const purgeUser = async (user) => {
+  const userId = user._id;
+
+  if (policy.industries === 'delete') {
+    await removeIndustries({ owner: userId });
+  } else {
+    const newOwner = policy.reassignTo || user.deletedBy;
+    if (newOwner) {
+      await Industry.updateMany({ owner: userId }, { owner: newOwner });
+    }
+  }
+
+  if (policy.feedback === 'delete') {
+    await FeedbackResponse.deleteMany({ createdBy: userId });
+  } else {
+    await FeedbackResponse.updateMany({ createdBy: userId }, { $unset: { createdBy: 1 } });
+  }
+
+  if (policy.workshopRegistrations === 'remove') {
+    await Workshop.updateMany({ registeredUsers: userId }, { $pull: { registeredUsers: userId } });
+  }
+
+  await removeApplicationsBy(userId);
+
+  // Vote counts stay, only the link to the voter goes
+  await Poll.updateMany({ votedBy: userId }, { $pull: { votedBy: userId } });
+
+  await Session.deleteMany({ user: userId });
+  await Invitation.deleteMany({ user: userId });
+  await LoginEvent.deleteMany({ user: userId });
+  await MembershipReminder.deleteMany({ user: userId });
+
+  await User.deleteOne({ _id: userId });
+  invalidateUser(userId);
+};
+
+// Purge every user deleted longer ago than the retention period
+const purgeDeletedUsers = async () => {
+  const cutoff = new Date(Date.now() - policy.retentionDays * 24 * 60 * 60 * 1000);
+  const users = await User.find({ deletedAt: { $ne: null, $lt: cutoff } });
+
+  for (const user of users) {
+    await purgeUser(user);
+  }
+
+  return { purged: users.length };
+};
+
+module.exports = { softDeleteUser, restoreUser, purgeUser, purgeDeletedUsers };
@@ -0,0 +1,50 @@
+const { check } = require('express-validator');
+const { ROLES } = require('../config/roles');
+const { escapeRegex } = require('./text');
+
+const SORT_FIELDS = ['username', 'email', 'company', 'role', 'status', 'expiryDate', 'createdAt'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query parameters accepted by the admin user listing and its CSV export
+const userQueryRules = [
+  check('q').optional().isString().trim(),
+  check('role', 'Invalid role').optional().isIn(['member', 'admin']),
+  check('staffRole', 'Invalid staff role').optional().isIn(Object.keys(ROLES)),
+  check('status', 'Invalid status').optional().isIn(['active', 'inactive', 'pending']),
+  check('expiringInDays', 'expiringInDays must be a positive number').optional().isInt({ min: 1, max: 3650 }).toInt(),
+  check('expired', 'expired must be true or false').optional().isBoolean().toBoolean(),
+  check('deleted', 'deleted must be true or false').optional().isBoolean().toBoolean(),
+  check('sort', 'Invalid sort field').optional().custom((value) => SORT_FIELDS.includes(value.replace(/^-/, ''))),
+  check('page', 'page must be a positive number').optional().isInt({ min: 1 }).toInt(),
+  check('limit', 'limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+// Build the MongoDB filter for a validated query
+const buildUserFilter = (query) => {
+  const filter = { deletedAt: query.deleted ? { $ne: null } : null };
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(query.q), 'i');
+    filter.$or = [{ username: pattern }, { email: pattern }];
+  }
+  if (query.role) filter.role = query.role;
+  if (query.staffRole) filter.roles = query.staffRole;
+  if (query.status) filter.status = query.status;
+
+  const now = new Date();
+  if (query.expiringInDays) {
+    filter.expiryDate = { $gte: now, $lte: new Date(now.getTime() + query.expiringInDays * DAY_MS) };
+  } else if (query.expired !== undefined) {
+    filter.expiryDate = query.expired ? { $lt: now } : { $gte: now };
+  }
+
+  return filter;
+};
+
+// "-createdAt" sorts newest first; _id breaks ties so pages are stable
+const buildUserSort = (sort = '-createdAt') => {
+  const field = sort.replace(/^-/, '');
+  return { [field]: sort.startsWith('-') ? -1 : 1, _id: 1 };
+};
+
+module.exports = { userQueryRules, buildUserFilter, buildUserSort };
@@ -0,0 +1,14 @@
+const { check } = require('express-validator');
+
+// Rules for a new account's profile, shared by registration and bulk import
+const registrationRules = [
+  check('username', 'Username is required').not().isEmpty(),
+  check('email', 'Please include a valid email').isEmail()
+];
+
+const passwordRule = check(
+  'password',
+  'Please enter a password with 6 or more characters'
+).isLength({ min: 6 });
+
+module.exports = { registrationRules, passwordRule };